@@ -8,6 +8,7 @@ const SG = require('strong-globalize');
 const g = SG();
 
 const util = require('util');
+const stream = require('stream');
 const async = require('async');
 const assert = require('assert');
 const Connector = require('./connector');
@@ -37,6 +38,58 @@ SQLConnector.ParameterizedSQL = ParameterizedSQL;
 // The generic placeholder
 const PLACEHOLDER = SQLConnector.PLACEHOLDER = ParameterizedSQL.PLACEHOLDER;
 
+// Mark of raw SQL expressions, shared by all copies of the module
+const RAW_SQL = Symbol.for('loopback-connector.rawSQL');
+
+/**
+ * Create a raw SQL expression to be used as a value in the where object, a
+ * computed column in `fields` or an entry of `order`. Values are bound as
+ * parameters with `?` placeholders, for example,
+ *
+ * ```js
+ * const total = SQLConnector.raw('price * ?', [1.1]);
+ * {
+ *   where: {budget: {gt: total}},
+ *   fields: {name: true, total: total},
+ *   order: [SQLConnector.raw('price * ? DESC', [1.1])],
+ * }
+ * ```
+ *
+ * The SQL is embedded as is, so it must never be built from user input.
+ *
+ * Juggler normalizes `fields` and `order` of `Model.find` to property names,
+ * so computed columns are dropped and raw order entries are rejected there.
+ * They are supported by the connector methods only, such as
+ * `connector.all(model, filter, options, cb)`, while raw values in `where`
+ * work with `Model.find` too.
+ *
+ * @param {String} sql The SQL expression
+ * @param {Array} [params] The parameter values
+ * @returns {ParameterizedSQL} The raw SQL expression
+ */
+SQLConnector.raw = function(sql, params) {
+  const expr = new ParameterizedSQL(sql, params);
+  Object.defineProperty(expr, RAW_SQL, {value: true});
+  return expr;
+};
+
+// Alias to `raw`
+SQLConnector.expr = SQLConnector.raw;
+
+/*!
+ * Check if the value is a raw SQL expression from `SQLConnector.raw`
+ */
+function isRawSQL(value) {
+  return value != null && value[RAW_SQL] === true;
+}
+
+/*!
+ * Copy the raw SQL expression so that it's not changed by merging statements
+ */
+function copyRawSQL(value) {
+  return new ParameterizedSQL(value.sql, value.params);
+}
+
 SQLConnector.Transaction = Transaction;
 
 /**
@@ -54,6 +107,27 @@ SQLConnector.prototype.relational = true;
  */
 SQLConnector.prototype.multiInsertSupported = false;
 
+/**
+ * Set the upsertSupported property to indicate if the connector supports the
+ * UPSERT statement from `buildUpsert`. Otherwise `updateOrCreate` and
+ * `replaceOrCreate` find the instance and update or create it inside a
+ * transaction. By default, it is set to false as the default `buildUpsert`
+ * uses the PostgreSQL dialect
+ * @type {boolean}
+ */
+SQLConnector.prototype.upsertSupported = false;
+
+/**
+ * Set the returningSupported property to indicate if the connector supports
+ * returning the changed rows with the clause from `buildReturning`, which is
+ * required by `options.returning`. Otherwise `updateAllById` and
+ * `destroyAllById` change the rows one by one inside a transaction to count
+ * them. By default, it is set to false as the default `buildReturning` uses
+ * the PostgreSQL dialect
+ * @type {boolean}
+ */
+SQLConnector.prototype.returningSupported = false;
+
 /**
  * Invoke a prototype method on the super class
  * @param {String} methodName Method name
@@ -531,6 +605,7 @@ SQLConnector.prototype.buildInsertDefaultValues = function(model, data, options)
  */
 SQLConnector.prototype.buildInsert = function(model, data, options) {
   const fields = this.buildFields(model, data);
+  this._setTimestamps(model, fields, data, true);
   const insertStmt = this.buildInsertInto(model, fields, options);
   const columnValues = fields.columnValues;
   const fieldNames = fields.names;
@@ -561,7 +636,7 @@ SQLConnector.prototype.buildInsertAll = function(model, data, options) {
     // return immediately if multiInsertSupported=false in connector
     return null;
   }
-  const fieldsArray = this.buildFieldsFromArray(model, data);
+  const fieldsArray = this._buildInsertFieldsFromArray(model, data);
   if (Array.isArray(fieldsArray) && fieldsArray.length === 0) {
     debug('no fields found for insert query');
     // return immediately if no fields found
@@ -595,6 +670,85 @@ SQLConnector.prototype.buildInsertAll = function(model, data, options) {
   return this.parameterize(insertStmt);
 };
 
+/**
+ * Build the UPSERT SQL statement which inserts a new row or updates the
+ * existing one that conflicts with it. The default implementation uses the
+ * `INSERT ... ON CONFLICT ... DO UPDATE` syntax if `upsertSupported` is set
+ * for the connector. Connectors should override it for other dialects, such
+ * as `MERGE` or `ON DUPLICATE KEY UPDATE`.
+ * @param {String} model The model name
+ * @param {Object} data The model data object
+ * @param {String[]} [conflictKeys] Names of the properties identifying an
+ * existing row, default to the id properties
+ * @param {Object} options The options object
+ * @returns {ParameterizedSQL} The UPSERT SQL statement or `null`
+ */
+SQLConnector.prototype.buildUpsert = function(model, data, conflictKeys, options) {
+  if (!this.upsertSupported) {
+    debug('UPSERT SQL dialect is not supported by this connector');
+    return null;
+  }
+  const self = this;
+  conflictKeys = conflictKeys || this.idNames(model);
+  const fields = this.buildFields(model, data);
+  this._setTimestamps(model, fields, data, true);
+  const timestamps = this._getTimestampProperties(model);
+  const createdAtColumn = timestamps && timestamps.createdAt &&
+    this.columnEscaped(model, timestamps.createdAt);
+  const versionProperty = this._getVersionProperty(model);
+  const versionColumn = versionProperty &&
+    this.columnEscaped(model, versionProperty);
+  const upsertStmt = this.buildInsertInto(model, fields, options);
+  const values = ParameterizedSQL.join(fields.columnValues, ',');
+  values.sql = 'VALUES(' + values.sql + ')';
+  upsertStmt.merge(values);
+
+  const conflictColumns = conflictKeys.map(function(key) {
+    return self.columnEscaped(model, key);
+  });
+  const updates = [];
+  for (let i = 0, n = fields.names.length; i < n; i++) {
+    const name = fields.names[i];
+    if (fields.properties[i].id || conflictColumns.indexOf(name) !== -1 ||
+      name === createdAtColumn || name === versionColumn) {
+      continue;
+    }
+    updates.push(name + '=EXCLUDED.' + name);
+  }
+  if (versionColumn) {
+    // The existing row gets the next version instead of the given one
+    const existingVersion = this.tableEscaped(model) + '.' + versionColumn;
+    updates.push(versionColumn + '=COALESCE(' + existingVersion + ',0)+1');
+  }
+  upsertStmt.merge('ON CONFLICT(' + conflictColumns.join(',') + ')');
+  if (updates.length) {
+    upsertStmt.merge('DO UPDATE SET ' + updates.join(','));
+  } else {
+    upsertStmt.merge('DO NOTHING');
+  }
+  const returning = this.buildInsertReturning(model, data, options);
+  if (returning) {
+    upsertStmt.merge(returning);
+  }
+  return this.parameterize(upsertStmt);
+};
+
+/**
+ * Build the SQL statement which inserts the model data only if no row
+ * matches the where object, for example,
+ * `INSERT INTO ... SELECT ... WHERE NOT EXISTS (SELECT 1 FROM ... WHERE ...)`.
+ * The default implementation returns `null` so that `findOrCreate` falls back
+ * to a transaction. Connectors can override it with their own dialect.
+ * @param {String} model The model name
+ * @param {Object} where The where object
+ * @param {Object} data The model data object
+ * @param {Object} options The options object
+ * @returns {ParameterizedSQL} The INSERT SQL statement or `null`
+ */
+SQLConnector.prototype.buildInsertIfNotExists = function(model, where, data, options) {
+  return null;
+};
+
 /**
  * Execute a SQL statement with given parameters.
  *
@@ -686,8 +840,12 @@ SQLConnector.prototype.create = function(model, data, options, callback) {
 };
 
 /**
- * Create multiple data models in a single insert query
- * Works only if `multiInsertSupported` is set to true for the connector
+ * Create multiple data models with multiple value insert queries. Large
+ * arrays are split into chunks limited by the `maxRowsPerInsert` and
+ * `maxParamsPerStatement` settings of the connector. If
+ * `multiInsertSupported` is false for the connector, the rows are inserted
+ * one by one instead. Multiple statements run inside the transaction from
+ * `options.transaction` or a new one.
  *
  * @param {String} model The model name
  * @param {Object} data The model instances data
@@ -695,26 +853,126 @@ SQLConnector.prototype.create = function(model, data, options, callback) {
  * @param {Function} [callback] The callback function
  */
 SQLConnector.prototype.createAll = function(model, data, options, callback) {
+  const self = this;
+  options = options || {};
+  if (!data.length) {
+    return process.nextTick(function() {
+      callback(null, []);
+    });
+  }
+  let chunks;
+  if (this.multiInsertSupported) {
+    chunks = this._getInsertChunks(model, data);
+  } else {
+    debug('multiple value insert SQL dialect is not supported by this ' +
+      'connector, rows are inserted one by one');
+  }
+  if (chunks && chunks.length === 1) {
+    return this._createChunk(model, data, options, callback);
+  }
+  this._runInTransaction(options, Transaction.READ_COMMITTED,
+    function(txOptions, done) {
+      let results = [];
+      async.eachSeries(chunks || data, function(item, next) {
+        if (chunks) {
+          return self._createChunk(model, item, txOptions, function(err, rows) {
+            if (err) return next(err);
+            results = results.concat(rows);
+            next();
+          });
+        }
+        self.create(model, item, txOptions, function(err, insertedId) {
+          if (err) return next(err);
+          results.push(self._applyInsertedId(model, Object.assign({}, item),
+            insertedId));
+          next();
+        });
+      }, function(err) {
+        done(err, err ? undefined : results);
+      });
+    }, callback);
+};
+
+/*
+ * Insert the rows with a multiple value insert query
+ * @param {String} model The model name.
+ * @param {Object[]} data The model instances data.
+ * @param {Object} options Options object.
+ * @param {Function} cb The callback function.
+ * @private
+ */
+SQLConnector.prototype._createChunk = function(model, data, options, cb) {
   const self = this;
   const stmt = this.buildInsertAll(model, data, options);
   if (!stmt) {
     debug('empty SQL statement returned for insert into multiple values');
-    callback(new Error(
-      g.f('empty SQL statement returned for insert into multiple values'),
-    ));
+    return process.nextTick(function() {
+      cb(new Error(
+        g.f('empty SQL statement returned for insert into multiple values'),
+      ));
+    });
   }
   this.execute(stmt.sql, stmt.params, options, function(err, info) {
     if (err) {
-      callback(err);
+      cb(err);
     } else {
-      const returnData = self.getInsertedDataArray(model, info, data);
-      callback(err, returnData);
+      cb(err, self.getInsertedDataArray(model, info, data));
     }
   });
 };
 
+/*
+ * Build the fields of the rows for a multiple value insert query, including
+ * the timestamps of the model
+ * @param {String} model The model name.
+ * @param {Object[]} data The model instances data.
+ * @returns {Object[]} The fields of each row.
+ * @private
+ */
+SQLConnector.prototype._buildInsertFieldsFromArray = function(model, data) {
+  const fieldsArray = this.buildFieldsFromArray(model, data);
+  const now = new Date();
+  for (let i = 0; i < fieldsArray.length; i++) {
+    this._setTimestamps(model, fieldsArray[i], data[i], true, now);
+  }
+  return fieldsArray;
+};
+
+/*
+ * Split the rows into chunks within the `maxRowsPerInsert` and
+ * `maxParamsPerStatement` settings of the connector
+ * @param {String} model The model name.
+ * @param {Object[]} data The model instances data.
+ * @returns {Object[][]} The chunks of rows.
+ * @private
+ */
+SQLConnector.prototype._getInsertChunks = function(model, data) {
+  const maxRows = this.settings.maxRowsPerInsert;
+  const maxParams = this.settings.maxParamsPerStatement;
+  let size = maxRows > 0 ? maxRows : data.length;
+  if (maxParams > 0) {
+    // Every row has the same columns in a multiple value insert query, but
+    // some values, such as generated timestamps, may not be parameters
+    const paramsPerRow = this._buildInsertFieldsFromArray(model, data)
+      .reduce(function(max, fields) {
+        const params = ParameterizedSQL.join(fields.columnValues, ',').params;
+        return Math.max(max, params.length);
+      }, 0);
+    if (paramsPerRow > 0) {
+      size = Math.min(size, Math.max(1, Math.floor(maxParams / paramsPerRow)));
+    }
+  }
+  const chunks = [];
+  for (let i = 0; i < data.length; i += size) {
+    chunks.push(data.slice(i, i + size));
+  }
+  return chunks;
+};
+
 /**
- * Save the model instance into the database
+ * Save the model instance into the database. For models with the
+ * `versionProperty` setting, the update is conditional on the version in the
+ * data and fails with `VERSION_CONFLICT` if the row was changed meanwhile
  * @param {String} model The model name
  * @param {Object} data The model instance data
  * @param {Object} options Options object
@@ -728,8 +986,13 @@ SQLConnector.prototype.save = function(model, data, options, cb) {
     return;
   }
 
+  const self = this;
   const where = {};
   where[idName] = idValue;
+  const versionProperty = this._getVersionProperty(model);
+  if (versionProperty && data[versionProperty] != null) {
+    where[versionProperty] = data[versionProperty];
+  }
 
   let updateStmt = new ParameterizedSQL('UPDATE ' + this.tableEscaped(model));
   updateStmt.merge(this.buildFieldsForUpdate(model, data));
@@ -738,12 +1001,258 @@ SQLConnector.prototype.save = function(model, data, options, cb) {
   updateStmt = this.parameterize(updateStmt);
   this.execute(updateStmt.sql, updateStmt.params, options,
     function(err, result) {
+      if (!err && self._hasVersionCondition(model, where)) {
+        if (self.getCountForAffectedRows(model, result) === 0) {
+          err = errorVersionConflict(model, idValue);
+        } else {
+          self._setNextVersion(model, data, where);
+        }
+      }
       if (cb) cb(err, result);
     });
 };
 
 /**
- * Check if a model instance exists for the given id value
+ * Update the model instance if it exists, otherwise create a new one. The
+ * operation is performed atomically with the statement from `buildUpsert`,
+ * or inside a transaction if the connector does not support upserts. The
+ * callback receives the full row after the update.
+ * @param {String} model The model name
+ * @param {Object} data The model instance data
+ * @param {Object} options Options object
+ * @param {Function} cb The callback function
+ */
+SQLConnector.prototype.updateOrCreate = function(model, data, options, cb) {
+  const idValue = this.getIdValue(model, data);
+  if (idValue === null || idValue === undefined) {
+    return this._createForUpsert(model, data, options, cb);
+  }
+  this._upsert(model, data, false, options, cb);
+};
+
+// Alias to `updateOrCreate`. Juggler checks `updateOrCreate` only.
+Connector.defineAliases(SQLConnector.prototype, 'updateOrCreate',
+  ['upsert', 'patchOrCreate']);
+
+/**
+ * Replace the model instance if it exists, otherwise create a new one. The
+ * properties not present in the data are reset to `null`.
+ * @param {String} model The model name
+ * @param {Object} data The model instance data
+ * @param {Object} options Options object
+ * @param {Function} cb The callback function
+ */
+SQLConnector.prototype.replaceOrCreate = function(model, data, options, cb) {
+  const idValue = this.getIdValue(model, data);
+  if (idValue === null || idValue === undefined) {
+    return this._createForUpsert(model, data, options, cb);
+  }
+  const props = this.getModelDefinition(model).properties;
+  const replaceData = {};
+  for (const p in props) {
+    replaceData[p] = data[p] === undefined ? null : data[p];
+  }
+  this._upsert(model, replaceData, true, options, cb);
+};
+
+/*
+ * Upsert the model data with the statement from `buildUpsert`. Without it,
+ * find the instance and update or create it inside a transaction. The row is
+ * selected afterwards so that the callback receives all of its properties.
+ * @param {String} model The model name.
+ * @param {Object} data The model instance data with the id value.
+ * @param {Boolean} replace Replace instead of update the existing instance.
+ * @param {Object} options Options object.
+ * @param {Function} cb The callback function, called with
+ * `(err, data, info)`.
+ * @private
+ */
+SQLConnector.prototype._upsert = function(model, data, replace, options, cb) {
+  const self = this;
+  const idValue = this.getIdValue(model, data);
+  const findOptions = Object.assign({}, options, {withDeleted: true});
+  const done = function(err, info) {
+    if (err) return cb(err);
+    self.find(model, idValue, findOptions, function(err, row) {
+      if (err) return cb(err);
+      cb(null, row || data, info);
+    });
+  };
+  const stmt = this.buildUpsert(model, data, null, options);
+  if (stmt) {
+    return this.execute(stmt.sql, stmt.params, options, function(err, info) {
+      if (err) return cb(err);
+      done(null, self.getUpsertInfo(model, info));
+    });
+  }
+  this._runInTransaction(options, Transaction.SERIALIZABLE,
+    function(txOptions, next) {
+      const txFindOptions = Object.assign({}, txOptions, {withDeleted: true});
+      self.find(model, idValue, txFindOptions, function(err, found) {
+        if (err) return next(err);
+        if (!found) {
+          return self.create(model, data, txOptions, function(err) {
+            next(err, {isNewInstance: true});
+          });
+        }
+        const write = replace ? self.replaceById : self.updateAttributes;
+        write.call(self, model, idValue, Object.assign({}, data), txOptions,
+          function(err) {
+            next(err, {isNewInstance: false});
+          });
+      });
+    }, done);
+};
+
+/*
+ * Create a new instance for upsert methods when no id value is provided
+ * @param {String} model The model name.
+ * @param {Object} data The model instance data.
+ * @param {Object} options Options object.
+ * @param {Function} cb The callback function.
+ * @private
+ */
+SQLConnector.prototype._createForUpsert = function(model, data, options, cb) {
+  const self = this;
+  this.create(model, data, options, function(err, insertedId) {
+    if (err) return cb(err);
+    cb(null, self._applyInsertedId(model, data, insertedId),
+      {isNewInstance: true});
+  });
+};
+
+/*
+ * Set the inserted id to the model data if it does not have an id value
+ * @param {String} model The model name.
+ * @param {Object} data The model instance data.
+ * @param {*} insertedId The inserted id value.
+ * @returns {Object} The model instance data.
+ * @private
+ */
+SQLConnector.prototype._applyInsertedId = function(model, data, insertedId) {
+  const idValue = this.getIdValue(model, data);
+  if ((idValue === null || idValue === undefined) && insertedId != null) {
+    this.setIdValue(model, data, insertedId);
+  }
+  return data;
+};
+
+/**
+ * Find the first model instance matching the filter, or create a new one
+ * with the given data if nothing matches. The insert statement from
+ * `buildInsertIfNotExists` is used if the connector provides one, the
+ * matching instance is selected if it inserts nothing. Otherwise
+ * the lookup and the insert run inside a transaction, either the one from
+ * `options.transaction` or a new serializable transaction.
+ * @param {String} model The model name
+ * @param {Object} filter The filter
+ * @param {Object} data The model instance data
+ * @param {Object} options Options object
+ * @param {Function} cb The callback function, called with
+ * `(err, data, created)`
+ */
+SQLConnector.prototype.findOrCreate = function(model, filter, data, options, cb) {
+  const self = this;
+  filter = filter || {};
+  options = options || {};
+  const stmt = this.buildInsertIfNotExists(model, filter.where, data, options);
+  if (stmt) {
+    return this.execute(stmt.sql, stmt.params, options, function(err, info) {
+      if (err) return cb(err);
+      if (self.getCountForAffectedRows(model, info) > 0) {
+        const insertedId = self.getInsertedId(model, info);
+        return cb(null, self._applyInsertedId(model, data, insertedId), true);
+      }
+      // Another row matches, creating it again would not be atomic
+      const query = Object.assign({}, filter, {limit: 1});
+      self.all(model, query, options, function(err, results) {
+        if (err) return cb(err);
+        if (!results || !results.length) {
+          return cb(errorFindOrCreateConflict(model));
+        }
+        cb(null, results[0], false);
+      });
+    });
+  }
+  if (!options.transaction && typeof this.beginTransaction !== 'function') {
+    debug('findOrCreate is not atomic without transaction support for model %s',
+      model);
+  }
+  this._runInTransaction(options, Transaction.SERIALIZABLE,
+    function(txOptions, done) {
+      self._findOrCreate(model, filter, data, txOptions, done);
+    }, cb);
+};
+
+function errorFindOrCreateConflict(model) {
+  const msg = g.f('Could not find or create %s, the matching instance was ' +
+    'changed by another request', model);
+  const error = new Error(msg);
+  error.statusCode = error.status = 409;
+  return error;
+}
+
+/*
+ * Run the function inside the transaction from `options.transaction`, or
+ * inside a new transaction which is committed if the function succeeds and
+ * rolled back if it fails. The function runs without a transaction if the
+ * connector does not support transactions.
+ * @param {Object} options Options object.
+ * @param {String} isolationLevel The isolation level of a new transaction.
+ * @param {Function} fn The function called with `(options, done)`, where
+ * `options.transaction` is set to the transaction.
+ * @param {Function} cb The callback function called with the results of `fn`.
+ * @private
+ */
+SQLConnector.prototype._runInTransaction = function(options, isolationLevel,
+  fn, cb) {
+  if (options.transaction || typeof this.beginTransaction !== 'function') {
+    return fn(options, cb);
+  }
+  Transaction.begin(this, isolationLevel, function(err, tx) {
+    if (err) return cb(err);
+    const txOptions = Object.assign({}, options, {transaction: tx});
+    fn(txOptions, function(err) {
+      const results = arguments;
+      if (err) {
+        return tx.rollback(function() {
+          cb(err);
+        });
+      }
+      tx.commit(function(err) {
+        if (err) return cb(err);
+        cb.apply(null, results);
+      });
+    });
+  });
+};
+
+/*
+ * @param {String} model The model name.
+ * @param {Object} filter The filter.
+ * @param {Object} data The model instance data.
+ * @param {Object} options Options object.
+ * @param {Function} cb The callback function.
+ * @private
+ */
+SQLConnector.prototype._findOrCreate = function(model, filter, data, options, cb) {
+  const self = this;
+  const query = Object.assign({}, filter, {limit: 1});
+  this.all(model, query, options, function(err, results) {
+    if (err) return cb(err);
+    if (results && results.length) {
+      return cb(null, results[0], false);
+    }
+    self.create(model, data, options, function(err, insertedId) {
+      if (err) return cb(err);
+      cb(null, self._applyInsertedId(model, data, insertedId), true);
+    });
+  });
+};
+
+/**
+ * Check if a model instance exists for the given id value. Soft deleted rows
+ * are not found unless `options.withDeleted` is set.
  * @param {String} model The model name
  * @param {*} id The id value
  * @param {Object} options Options object
@@ -754,8 +1263,15 @@ SQLConnector.prototype.exists = function(model, id, options, cb) {
     return;
   }
   const idName = this.idName(model);
-  const where = {};
+  let where = {};
   where[idName] = id;
+  try {
+    where = this._excludeDeleted(model, where, options);
+  } catch (err) {
+    return process.nextTick(function() {
+      if (cb) cb(err);
+    });
+  }
   let selectStmt = new ParameterizedSQL(
     'SELECT 1 FROM ' + this.tableEscaped(model) +
     ' WHERE ' + this.idColumnEscaped(model),
@@ -805,21 +1321,105 @@ Connector.defineAliases(SQLConnector.prototype, 'destroy',
   ['delete', 'deleteById', 'destroyById']);
 
 /**
- * Build the `DELETE FROM` SQL statement
+ * Build the `DELETE FROM` SQL statement. For models with the `softDelete`
+ * setting, it builds an UPDATE statement stamping the soft delete property of
+ * the rows that are not deleted yet instead.
  * @param {String} model The model name
  * @param {Object} where The where object
  * @param {Object} options Options object
  * @returns {ParameterizedSQL} The SQL DELETE FROM statement
  */
 SQLConnector.prototype.buildDelete = function(model, where, options) {
-  const deleteStmt = new ParameterizedSQL('DELETE FROM ' +
-    this.tableEscaped(model));
-  deleteStmt.merge(this.buildWhere(model, where));
+  let deleteStmt;
+  const whereClause = this.buildWhere(model, where);
+  this._checkBulkWriteWhere(model, whereClause, options, 'DELETE');
+  const softDeleteProperty = this._getSoftDeleteProperty(model);
+  if (softDeleteProperty) {
+    const data = {};
+    data[softDeleteProperty] = new Date();
+    deleteStmt = new ParameterizedSQL('UPDATE ' + this.tableEscaped(model));
+    deleteStmt.merge(this.buildFieldsForUpdate(model, data));
+    deleteStmt.merge(this.buildWhere(model,
+      this._excludeDeleted(model, where, options)));
+  } else {
+    deleteStmt = new ParameterizedSQL('DELETE FROM ' +
+      this.tableEscaped(model));
+    deleteStmt.merge(whereClause);
+  }
+  const returning = this._buildReturning(model, options);
+  if (returning) {
+    deleteStmt.merge(returning);
+  }
   return this.parameterize(deleteStmt);
 };
 
+/*
+ * Get the property stamped with the time of deletion for models with the
+ * `softDelete` setting, `{property: 'deletedAt'}` or `true` for `deletedAt`
+ * @param {String} model The model name.
+ * @returns {String} The property name, or `undefined`.
+ * @private
+ */
+SQLConnector.prototype._getSoftDeleteProperty = function(model) {
+  const definition = this.getModelDefinition(model);
+  const softDelete = definition && definition.settings &&
+    definition.settings.softDelete;
+  if (!softDelete) {
+    return undefined;
+  }
+  const property = softDelete.property || 'deletedAt';
+  if (!definition.properties[property]) {
+    throw new Error(g.f('Soft delete property %s is not defined for model %s',
+      property, model));
+  }
+  return property;
+};
+
+/*
+ * Add the condition to exclude soft deleted rows to the where object, unless
+ * `options.withDeleted` is set
+ * @param {String} model The model name.
+ * @param {Object} where The where object.
+ * @param {Object} [options] The options object.
+ * @returns {Object} The where object.
+ * @private
+ */
+SQLConnector.prototype._excludeDeleted = function(model, where, options) {
+  if (options && options.withDeleted) {
+    return where;
+  }
+  const property = this._getSoftDeleteProperty(model);
+  if (!property) {
+    return where;
+  }
+  const notDeleted = {};
+  notDeleted[property] = null;
+  if (!where || (!isRawSQL(where) && !Object.keys(where).length)) {
+    return notDeleted;
+  }
+  return {and: [where, notDeleted]};
+};
+
+/*
+ * Build the condition to exclude soft deleted rows of a model referenced by
+ * an alias in joins and subqueries
+ * @param {String} model The model name.
+ * @param {String} alias The escaped alias of the table.
+ * @returns {String} The SQL condition, or `''` without soft delete.
+ * @private
+ */
+SQLConnector.prototype._buildNotDeleted = function(model, alias) {
+  const property = this._getSoftDeleteProperty(model);
+  if (!property) {
+    return '';
+  }
+  return alias + '.' + this.columnEscaped(model, property) + ' IS NULL';
+};
+
 /**
- * Delete all matching model instances
+ * Delete all matching model instances. With `options.returning` set to `true`
+ * or an array of properties, the callback receives the deleted rows as
+ * `{count, rows}`.
  *
  * @param {String} model The model name
  * @param {Object} where The where object
@@ -827,7 +1427,14 @@ SQLConnector.prototype.buildDelete = function(model, where, options) {
  * @param {Function} cb The callback function
  */
 SQLConnector.prototype.destroyAll = function(model, where, options, cb) {
-  const stmt = this.buildDelete(model, where, options);
+  let stmt;
+  try {
+    stmt = this.buildDelete(model, where, options);
+  } catch (err) {
+    return process.nextTick(function() {
+      (cb || NOOP)(err);
+    });
+  }
   this._executeAlteringQuery(model, stmt.sql, stmt.params, options, cb || NOOP);
 };
 
@@ -850,17 +1457,31 @@ Connector.defineAliases(SQLConnector.prototype, 'destroyAll', ['deleteAll']);
  */
 SQLConnector.prototype.updateAttributes = function(model, id, data, options, cb) {
   if (!isIdValuePresent(id, cb)) return;
+  const self = this;
   const where = this._buildWhereObjById(model, id, data);
   this.updateAll(model, where, data, options, function(err, info) {
     if (err) return cb(err);
     if (info.count === 0) {
+      if (self._hasVersionCondition(model, where)) {
+        return cb(errorVersionConflict(model, id));
+      }
       return cb(errorIdNotFoundForUpdate(where.id));
     } else {
+      self._setNextVersion(model, data, where);
       return cb(null, info);
     }
   });
 };
 
+function errorVersionConflict(model, idValue) {
+  const msg = g.f('Version conflict for %s with {{id}} %s, it does not exist ' +
+    'or it was changed by another request', model, idValue);
+  const error = new Error(msg);
+  error.statusCode = error.status = 409;
+  error.code = 'VERSION_CONFLICT';
+  return error;
+}
+
 function errorIdNotFoundForUpdate(idValue) {
   const msg = g.f(
     'Could not update attributes. {{Object}} with {{id}} %s does not exist!', idValue,
@@ -890,7 +1511,8 @@ SQLConnector.prototype.replaceById = function(model, id, data, options, cb) {
  * @param model The model name.
  * @param id The instance ID.
  * @param {Object} data The data Object.
- * @returns {Object} where The where object for a spcific instance.
+ * @returns {Object} where The where object for a spcific instance, including
+ * the expected version from the data for models with `versionProperty`.
  * @private
  */
 SQLConnector.prototype._buildWhereObjById = function(model, id, data) {
@@ -898,9 +1520,146 @@ SQLConnector.prototype._buildWhereObjById = function(model, id, data) {
   delete data[idName];
   const where = {};
   where[idName] = id;
+  const versionProperty = this._getVersionProperty(model);
+  if (versionProperty) {
+    if (data[versionProperty] != null) {
+      where[versionProperty] = data[versionProperty];
+    }
+    delete data[versionProperty];
+  }
   return where;
 };
 
+/*
+ * Get the property of the row version for optimistic concurrency control,
+ * configured as the `versionProperty` setting of the model
+ * @param {String} model The model name.
+ * @returns {String} The property name, or `undefined`.
+ * @private
+ */
+SQLConnector.prototype._getVersionProperty = function(model) {
+  const definition = this.getModelDefinition(model);
+  const versionProperty = definition && definition.settings &&
+    definition.settings.versionProperty;
+  if (versionProperty && definition.properties[versionProperty]) {
+    return versionProperty;
+  }
+  return undefined;
+};
+
+/*
+ * Replace the version column in the fields with the increment of its value
+ * @param {String} model The model name.
+ * @param {Object} fields The fields from `buildFields`.
+ * @returns {Object} The fields.
+ * @private
+ */
+SQLConnector.prototype._incrementVersion = function(model, fields) {
+  const versionProperty = this._getVersionProperty(model);
+  if (!versionProperty) {
+    return fields;
+  }
+  const column = this.columnEscaped(model, versionProperty);
+  const increment = 'COALESCE(' + column + ',0)+1';
+  const definition = this.getModelDefinition(model);
+  setField(fields, column, new ParameterizedSQL(increment),
+    definition.properties[versionProperty]);
+  return fields;
+};
+
+/*
+ * Set the incremented version to the data after a successful write
+ * @param {String} model The model name.
+ * @param {Object} data The model data.
+ * @param {Object} where The where object with the expected version.
+ * @private
+ */
+SQLConnector.prototype._setNextVersion = function(model, data, where) {
+  const versionProperty = this._getVersionProperty(model);
+  if (versionProperty && typeof where[versionProperty] === 'number') {
+    data[versionProperty] = where[versionProperty] + 1;
+  }
+};
+
+/*
+ * Check if the where object has the expected version of the row
+ * @param {String} model The model name.
+ * @param {Object} where The where object.
+ * @returns {Boolean}
+ * @private
+ */
+SQLConnector.prototype._hasVersionCondition = function(model, where) {
+  const versionProperty = this._getVersionProperty(model);
+  return !!versionProperty && where[versionProperty] != null;
+};
+
+// Key of the expected version in the hook state of a model operation
+const VERSION_HOOK_STATE = Symbol('loopback-connector.version');
+
+/**
+ * Hook to be called by DataSource for defining a model. Models with the
+ * `versionProperty` setting get `persist` and `loaded` observers so that
+ * `save`, `updateAttributes` and `replaceAttributes` of a model instance
+ * check the version of the instance and update it after the write.
+ * @param {Object} modelDefinition The model definition
+ */
+SQLConnector.prototype.define = function(modelDefinition) {
+  Connector.prototype.define.call(this, modelDefinition);
+  const model = modelDefinition.model;
+  if (modelDefinition.settings.versionProperty &&
+    typeof model.observe === 'function') {
+    model.observe('persist', this._persistVersion.bind(this));
+    model.observe('loaded', this._loadVersion.bind(this));
+  }
+};
+
+/*
+ * Add the version of the persisted instance to the data if the data does
+ * not have it, for example a patch of `updateAttributes`
+ * @param {Object} ctx The context of the `persist` observer
+ * @param {Function} next The callback function
+ * @private
+ */
+SQLConnector.prototype._persistVersion = function(ctx, next) {
+  const versionProperty = this._getVersionProperty(ctx.Model.modelName);
+  const inst = ctx.currentInstance;
+  if (versionProperty && inst && ctx.data &&
+    typeof inst.isNewRecord === 'function' && !inst.isNewRecord()) {
+    if (ctx.data[versionProperty] == null) {
+      ctx.data[versionProperty] = inst[versionProperty];
+    }
+    if (typeof ctx.data[versionProperty] === 'number') {
+      ctx.hookState[VERSION_HOOK_STATE] = {
+        version: ctx.data[versionProperty],
+        instance: inst,
+      };
+    }
+  }
+  next();
+};
+
+/*
+ * Set the incremented version to the data and the instance after a
+ * successful write of the instance
+ * @param {Object} ctx The context of the `loaded` observer
+ * @param {Function} next The callback function
+ * @private
+ */
+SQLConnector.prototype._loadVersion = function(ctx, next) {
+  const state = ctx.hookState && ctx.hookState[VERSION_HOOK_STATE];
+  if (state) {
+    delete ctx.hookState[VERSION_HOOK_STATE];
+    const versionProperty = this._getVersionProperty(ctx.Model.modelName);
+    // Rows returned by the connector, such as for upserts, have the version
+    // from the database already
+    if (ctx.data && ctx.data[versionProperty] === state.version) {
+      ctx.data[versionProperty] = state.version + 1;
+      state.instance[versionProperty] = state.version + 1;
+    }
+  }
+  next();
+};
+
 /**
  * Build the UPDATE statement
  * @param {String} model The model name
@@ -912,7 +1671,56 @@ SQLConnector.prototype._buildWhereObjById = function(model, id, data) {
  */
 SQLConnector.prototype.buildUpdate = function(model, where, data, options) {
   const fields = this.buildFieldsForUpdate(model, data);
-  return this._constructUpdateQuery(model, where, fields);
+  const updateStmt = this._constructUpdateQuery(model, where, fields, options);
+  const returning = this._buildReturning(model, options);
+  if (returning) {
+    updateStmt.merge(returning);
+  }
+  return updateStmt;
+};
+
+/**
+ * Build the clause to return the rows changed by UPDATE or DELETE for
+ * `options.returning`. The default implementation uses the `RETURNING`
+ * syntax, connectors should override it with their own dialect. Connectors
+ * returning the rows in another part of the statement, such as `OUTPUT` of
+ * SQL Server, should override `buildUpdate` and `buildDelete` too.
+ * @param {String} model The model name
+ * @param {String[]} columnNames The escaped names of the columns to return
+ * @param {Object} options Options object
+ * @returns {String} The RETURNING clause
+ */
+SQLConnector.prototype.buildReturning = function(model, columnNames, options) {
+  return 'RETURNING ' + columnNames.join(',');
+};
+
+/*
+ * Build the RETURNING clause if `options.returning` is set to `true` for all
+ * properties or an array of properties
+ * @param {String} model The model name.
+ * @param {Object} [options] The options object.
+ * @returns {String} The RETURNING clause, or `''`.
+ * @private
+ */
+SQLConnector.prototype._buildReturning = function(model, options) {
+  const returning = options && options.returning;
+  if (!returning) {
+    return '';
+  }
+  if (!this.returningSupported) {
+    throw badRequest(g.f('{{returning}} is not supported by the connector'));
+  }
+  const self = this;
+  const props = this.getModelDefinition(model).properties;
+  const properties = Array.isArray(returning) ? returning.filter(function(p) {
+    return props[p] != null;
+  }) : Object.keys(props);
+  if (!properties.length) {
+    return '';
+  }
+  return this.buildReturning(model, properties.map(function(p) {
+    return self.columnEscaped(model, p);
+  }), options);
 };
 
 /**
@@ -926,25 +1734,50 @@ SQLConnector.prototype.buildUpdate = function(model, where, data, options) {
  */
 SQLConnector.prototype.buildReplace = function(model, where, data, options) {
   const fields = this.buildFieldsForReplace(model, data);
-  return this._constructUpdateQuery(model, where, fields);
+  return this._constructUpdateQuery(model, where, fields, options);
 };
 
 /*
  * @param model The model name.
  * @param {} where The where object.
  * @param {Object} field The parameterizedSQL fileds.
+ * @param {Object} [options] The options object.
  * @returns {Object} update query Constructed update query.
  * @private
  */
-SQLConnector.prototype._constructUpdateQuery = function(model, where, fields) {
+SQLConnector.prototype._constructUpdateQuery = function(model, where, fields,
+  options) {
   const updateClause = new ParameterizedSQL('UPDATE ' + this.tableEscaped(model));
   const whereClause = this.buildWhere(model, where);
+  this._checkBulkWriteWhere(model, whereClause, options, 'UPDATE');
   updateClause.merge([fields, whereClause]);
   return this.parameterize(updateClause);
 };
 
+/*
+ * Reject an UPDATE or DELETE statement without a WHERE clause, which would
+ * change all rows of the table, if the `requireWhereForBulkWrites` setting of
+ * the connector is on. Pass `{force: true}` as options to allow it.
+ * @param {String} model The model name.
+ * @param {ParameterizedSQL} whereClause The WHERE clause from `buildWhere`.
+ * @param {Object} [options] The options object.
+ * @param {String} statement The type of the statement.
+ * @private
+ */
+SQLConnector.prototype._checkBulkWriteWhere = function(model, whereClause,
+  options, statement) {
+  if (whereClause.sql || !this.settings.requireWhereForBulkWrites ||
+    (options && options.force)) {
+    return;
+  }
+  throw badRequest(g.f('%s of all rows of model %s requires ' +
+    '{{options.force}}', statement, model), 'WHERE_REQUIRED');
+};
+
 /**
- * Update all instances that match the where clause with the given data
+ * Update all instances that match the where clause with the given data. With
+ * `options.returning` set to `true` or an array of properties, the callback
+ * receives the updated rows as `{count, rows}`.
  * @param {String} model The model name
  * @param {Object} where The where object
  * @param {Object} data The property/value object representing changes
@@ -953,10 +1786,257 @@ SQLConnector.prototype._constructUpdateQuery = function(model, where, fields) {
  * @param {Function} cb The callback function
  */
 SQLConnector.prototype.update = function(model, where, data, options, cb) {
-  const stmt = this.buildUpdate(model, where, data, options);
+  let stmt;
+  try {
+    stmt = this.buildUpdate(model, where, data, options);
+  } catch (err) {
+    return process.nextTick(function() {
+      (cb || NOOP)(err);
+    });
+  }
   this._executeAlteringQuery(model, stmt.sql, stmt.params, options, cb || NOOP);
 };
 
+/**
+ * Build a single UPDATE statement to change each row identified by its id
+ * with its own data. The default implementation sets every column with a
+ * `CASE WHEN id=? THEN ? ... ELSE col END` expression and returns the ids of
+ * the updated rows with `buildReturning`. Connectors can override it with
+ * their own dialect, such as `UPDATE ... FROM (VALUES ...)`.
+ * @param {String} model The model name
+ * @param {Object[]} rows The model data objects, each with the id value
+ * @param {Object} options The options object
+ * @returns {ParameterizedSQL} The UPDATE statement, or `null` if there is
+ * nothing to update
+ */
+SQLConnector.prototype.buildUpdateAllById = function(model, rows, options) {
+  const self = this;
+  const idName = this.idName(model);
+  const idColumn = this.idColumnEscaped(model);
+  const names = [];
+  const cases = {};
+  const ids = [];
+  const now = new Date();
+  rows.forEach(function(row) {
+    const fields = self.buildFields(model, row, true);
+    if (!fields.names.length) return;
+    self._incrementVersion(model, fields);
+    self._setTimestamps(model, fields, row, false, now);
+    const where = {};
+    where[idName] = row[idName];
+    const condition = self._buildWhere(model, where);
+    ids.push(row[idName]);
+    fields.names.forEach(function(name, i) {
+      if (!cases[name]) {
+        cases[name] = [];
+        names.push(name);
+      }
+      cases[name].push(ParameterizedSQL.join(['WHEN', condition, 'THEN',
+        fields.columnValues[i]]));
+    });
+  });
+  if (!ids.length) {
+    return null;
+  }
+  const updateStmt = new ParameterizedSQL('UPDATE ' + this.tableEscaped(model) +
+    ' SET');
+  const columns = names.map(function(name) {
+    const column = new ParameterizedSQL(name + '=CASE');
+    column.merge(cases[name]);
+    column.merge('ELSE ' + name + ' END');
+    return column;
+  });
+  updateStmt.merge(ParameterizedSQL.join(columns, ','));
+  const where = {};
+  where[idName] = {inq: ids};
+  updateStmt.merge(this.buildWhere(model, where));
+  updateStmt.merge(this.buildReturning(model, [idColumn], options));
+  return this.parameterize(updateStmt);
+};
+
+/**
+ * Update multiple rows identified by their ids, each with its own data, in
+ * one statement from `buildUpdateAllById`. The callback receives
+ * `{count, counts}` where `counts` has the number of updated rows for each
+ * row of the input, based on the ids returned by the statement. Without
+ * `returningSupported`, the rows are updated one by one inside a transaction.
+ * @param {String} model The model name
+ * @param {Object[]} rows The model data objects, each with the id value
+ * @param {Object} options The options object
+ * @param {Function} cb The callback function
+ */
+SQLConnector.prototype.updateAllById = function(model, rows, options, cb) {
+  const self = this;
+  const ids = rows.map(function(row) {
+    return self.getIdValue(model, row);
+  });
+  let stmt;
+  try {
+    const idName = this._checkIdsForBulkWrite(model, ids, 'updateAllById');
+    if (!this.returningSupported) {
+      return this._executeByIdsOneByOne(model, ids, options,
+        function(i, txOptions) {
+          const data = Object.assign({}, rows[i]);
+          if (!self.buildFields(model, data, true).names.length) {
+            return null;
+          }
+          const where = {};
+          where[idName] = ids[i];
+          return self.buildUpdate(model, where, data, txOptions);
+        }, cb);
+    }
+    stmt = this.buildUpdateAllById(model, rows, options);
+  } catch (err) {
+    return process.nextTick(function() {
+      cb(err);
+    });
+  }
+  this._executeByIds(model, stmt, ids, options, cb);
+};
+
+/**
+ * Delete multiple rows by their ids. The callback receives `{count, counts}`
+ * where `counts` has the number of deleted rows for each id of the input,
+ * based on the ids returned with `buildReturning`. Without
+ * `returningSupported`, the rows are deleted one by one inside a transaction.
+ * @param {String} model The model name
+ * @param {Array} ids The id values
+ * @param {Object} options The options object
+ * @param {Function} cb The callback function
+ */
+SQLConnector.prototype.destroyAllById = function(model, ids, options, cb) {
+  const self = this;
+  let stmt;
+  try {
+    const idName = this._checkIdsForBulkWrite(model, ids, 'destroyAllById');
+    if (!this.returningSupported) {
+      return this._executeByIdsOneByOne(model, ids, options,
+        function(i, txOptions) {
+          const where = {};
+          where[idName] = ids[i];
+          return self.buildDelete(model, where, txOptions);
+        }, cb);
+    }
+    if (ids.length) {
+      const where = {};
+      where[idName] = {inq: ids};
+      stmt = this.buildDelete(model, where,
+        Object.assign({}, options, {returning: [idName]}));
+    }
+  } catch (err) {
+    return process.nextTick(function() {
+      cb(err);
+    });
+  }
+  this._executeByIds(model, stmt, ids, options, cb);
+};
+
+/*
+ * Check the model has a single id property and every id value is present
+ * @param {String} model The model name.
+ * @param {Array} ids The id values.
+ * @param {String} method The method name for the error message.
+ * @returns {String} The name of the id property.
+ * @private
+ */
+SQLConnector.prototype._checkIdsForBulkWrite = function(model, ids, method) {
+  const idNames = this.idNames(model);
+  if (idNames.length !== 1) {
+    throw badRequest(g.f('{{%s}} requires a single id property ' +
+      'for model %s', method, model));
+  }
+  ids.forEach(function(id) {
+    if (id === null || id === undefined) {
+      throw badRequest(g.f('{{%s}} requires the id value of ' +
+        'every row', method));
+    }
+  });
+  return idNames[0];
+};
+
+/*
+ * Execute the statement changing rows by ids and count the changed rows for
+ * each id from the returned rows
+ * @param {String} model The model name.
+ * @param {ParameterizedSQL} stmt The statement, or `null` if there is
+ * nothing to change.
+ * @param {Array} ids The id values.
+ * @param {Object} options The options object.
+ * @param {Function} cb The callback function.
+ * @private
+ */
+SQLConnector.prototype._executeByIds = function(model, stmt, ids, options, cb) {
+  const self = this;
+  if (!stmt) {
+    return process.nextTick(function() {
+      cb(null, {count: 0, counts: ids.map(function() {
+        return 0;
+      })});
+    });
+  }
+  this.execute(stmt.sql, stmt.params, options, function(err, info) {
+    if (err) return cb(err);
+    const changedIds = self.getReturnedRows(model, info).map(function(row) {
+      return String(self.getIdValue(model, self.fromRow(model, row)));
+    });
+    cb(null, {
+      count: changedIds.length,
+      counts: ids.map(function(id) {
+        return changedIds.filter(function(changedId) {
+          return changedId === String(id);
+        }).length;
+      }),
+    });
+  });
+};
+
+/*
+ * Execute a statement for each id inside a transaction and count the changed
+ * rows for each id from the affected rows of the statements
+ * @param {String} model The model name.
+ * @param {Array} ids The id values.
+ * @param {Object} options The options object.
+ * @param {Function} build The function called with `(index, options)` to
+ * build the statement for the id at the index, or `null` if there is nothing
+ * to change.
+ * @param {Function} cb The callback function.
+ * @private
+ */
+SQLConnector.prototype._executeByIdsOneByOne = function(model, ids, options,
+  build, cb) {
+  const self = this;
+  if (!ids.length) {
+    return process.nextTick(function() {
+      cb(null, {count: 0, counts: []});
+    });
+  }
+  options = Object.assign({}, options, {returning: false});
+  this._runInTransaction(options, Transaction.READ_COMMITTED,
+    function(txOptions, done) {
+      async.timesSeries(ids.length, function(i, next) {
+        let stmt;
+        try {
+          stmt = build(i, txOptions);
+        } catch (err) {
+          return next(err);
+        }
+        if (!stmt) return next(null, 0);
+        self.execute(stmt.sql, stmt.params, txOptions, function(err, info) {
+          if (err) return next(err);
+          next(null, self.getCountForAffectedRows(model, info));
+        });
+      }, function(err, counts) {
+        if (err) return done(err);
+        done(null, {
+          count: counts.reduce(function(sum, n) {
+            return sum + n;
+          }, 0),
+          counts: counts,
+        });
+      });
+    }, cb);
+};
+
 /**
  * Replace all instances that match the where clause with the given data
  * @param {String} model The model name
@@ -975,8 +2055,12 @@ SQLConnector.prototype._replace = function(model, where, data, options, cb) {
     const rowCount = typeof (affectedRows) === 'number' ?
       affectedRows : info.affectedRows;
     if (rowCount === 0) {
+      if (self._hasVersionCondition(model, where)) {
+        return cb(errorVersionConflict(model, where[self.idName(model)]));
+      }
       return cb(errorIdNotFoundForReplace(where.id));
     } else {
+      self._setNextVersion(model, data, where);
       return cb(null, info);
     }
   });
@@ -992,6 +2076,12 @@ function errorIdNotFoundForReplace(idValue) {
 SQLConnector.prototype._executeAlteringQuery = function(model, sql, params, options, cb) {
   const self = this;
   this.execute(sql, params, options, function(err, info) {
+    if (!err && options && options.returning) {
+      const rows = self.getReturnedRows(model, info).map(function(row) {
+        return self.fromRow(model, row);
+      });
+      return cb(null, {count: rows.length, rows: rows});
+    }
     const affectedRows = self.getCountForAffectedRows(model, info);
     cb(err, {count: affectedRows});
   });
@@ -1015,16 +2105,129 @@ SQLConnector.prototype.buildWhere = function(model, where) {
   return whereClause;
 };
 
+/*
+ * Registry of custom where operators, keyed by the operator name. Registries
+ * of connector instances and subclasses inherit from it.
+ */
+SQLConnector.prototype.operators = Object.create(null);
+
+/*!
+ * Add an operator to the registry of the target, which is either
+ * `SQLConnector.prototype`, the prototype of a connector subclass or a
+ * connector instance
+ */
+function addOperator(target, name, builder, options) {
+  if (typeof name !== 'string' || !name) {
+    throw new Error(g.f('Operator name must be a non-empty string'));
+  }
+  if (typeof builder !== 'function') {
+    throw new Error(g.f('Builder of operator %s must be a function', name));
+  }
+  options = options || {};
+  const coerce = options.coerce || 'value';
+  if (typeof coerce !== 'function' &&
+    ['value', 'list', 'raw'].indexOf(coerce) === -1) {
+    throw new Error(g.f('Invalid coercion %j for operator %s', coerce, name));
+  }
+  if (!Object.prototype.hasOwnProperty.call(target, 'operators')) {
+    target.operators = Object.create(target.operators || null);
+  }
+  target.operators[name] = {builder: builder, coerce: coerce};
+}
+
+/**
+ * Register a custom where operator for all SQL connectors, for example,
+ *
+ * ```js
+ * SQLConnector.registerOperator('startsWith', function(columnName, value) {
+ *   return new ParameterizedSQL(columnName + ' LIKE ?',
+ *     [SQLConnector.escapeLike(value) + '%']);
+ * });
+ * // {where: {name: {startsWith: 'Jo'}}}
+ * ```
+ *
+ * Registered operators take precedence over the built-in ones. Use
+ * `registerOperator` of a connector prototype or instance to register
+ * operators only for the given connector.
+ *
+ * Juggler coerces the where object of `Model.find` with its own operators
+ * only, so registered operators require the `allowExtendedOperators` setting
+ * of the model or option of the query. Without it, the condition becomes an
+ * equality with the coerced value.
+ *
+ * @param {String} name The operator name
+ * @param {Function} builder The function to build the SQL expression, called
+ * with the connector as `this` and `(columnName, columnValue,
+ * propertyDefinition, operatorOptions)`. It returns a `ParameterizedSQL` or
+ * a SQL string
+ * @param {Object} [options] Options
+ * @param {String|Function} [options.coerce] How the value is converted before
+ * it is passed to the builder:
+ * - `'value'` (default): `toColumnValue` of the value
+ * - `'list'`: an array of `toColumnValue` of each item
+ * - `'raw'`: the value as it is
+ * - a function called with the connector as `this` and `(value,
+ *   propertyDefinition)`
+ */
+SQLConnector.registerOperator = function(name, builder, options) {
+  addOperator(SQLConnector.prototype, name, builder, options);
+};
+
+/**
+ * Register a custom where operator for this connector only. When called on
+ * the prototype of a connector subclass, the operator is available to all
+ * instances of the subclass. See `SQLConnector.registerOperator`.
+ * @param {String} name The operator name
+ * @param {Function} builder The function to build the SQL expression
+ * @param {Object} [options] Options
+ */
+SQLConnector.prototype.registerOperator = function(name, builder, options) {
+  addOperator(this, name, builder, options);
+};
+
+/*
+ * Convert the value of a registered operator as configured by its `coerce`
+ * option
+ * @param {Object} operator The registered operator
+ * @param {Object} prop The property definition
+ * @param {*} value The value of the condition
+ * @returns {*} The column value
+ * @private
+ */
+SQLConnector.prototype._coerceOperatorValue = function(operator, prop, value) {
+  const self = this;
+  switch (operator.coerce) {
+    case 'raw':
+      return value;
+    case 'list':
+      return (Array.isArray(value) ? value : [value]).map(function(v) {
+        return self.toColumnValue(prop, v);
+      });
+    case 'value':
+      return this.toColumnValue(prop, value);
+    default:
+      return operator.coerce.call(this, value, prop);
+  }
+};
+
 /**
  * Build SQL expression
  * @param {String} columnName Escaped column name
  * @param {String} operator SQL operator
  * @param {*} columnValue Column value
  * @param {*} propertyValue Property value
+ * @param {Object} [operatorOptions] The `options` of the condition, such as
+ * `{escape: '!'}` for the escape character of LIKE operators
  * @returns {ParameterizedSQL} The SQL expression
  */
 SQLConnector.prototype.buildExpression =
-function(columnName, operator, columnValue, propertyValue) {
+function(columnName, operator, columnValue, propertyValue, operatorOptions) {
+  const custom = this.operators[operator];
+  if (custom) {
+    const exp = custom.builder.call(this, columnName, columnValue,
+      propertyValue, operatorOptions);
+    return exp instanceof ParameterizedSQL ? exp : new ParameterizedSQL(exp);
+  }
   function buildClause(columnValue, separator, grouping) {
     const values = [];
     for (let i = 0, n = columnValue.length; i < n; i++) {
@@ -1086,54 +2289,258 @@ function(columnName, operator, columnValue, propertyValue) {
     case 'nlike':
       sqlExp += ' NOT LIKE ';
       break;
+    case 'ilike':
+      sqlExp = 'LOWER(' + sqlExp + ') LIKE ';
+      clause = ParameterizedSQL.join(['LOWER(', clause, ')'], '');
+      break;
+    case 'nilike':
+      sqlExp = 'LOWER(' + sqlExp + ') NOT LIKE ';
+      clause = ParameterizedSQL.join(['LOWER(', clause, ')'], '');
+      break;
     // this case not needed since each database has its own regex syntax, but
     // we leave the MySQL syntax here as a placeholder
     case 'regexp':
       sqlExp += ' REGEXP ';
       break;
+    case 'contains':
+    case 'containedBy':
+    case 'overlaps':
+    case 'size':
+      return this.buildArrayExpression(columnName, operator, columnValue,
+        propertyValue);
   }
   const stmt = ParameterizedSQL.join([sqlExp, clause], '');
+  const escape = operatorOptions && operatorOptions.escape;
+  if (escape && LIKE_OPERATORS.indexOf(operator) !== -1) {
+    if (typeof escape === 'string' && escape.length === 1) {
+      stmt.merge(new ParameterizedSQL('ESCAPE ' + PLACEHOLDER, [escape]));
+    } else {
+      this._skipInvalidWhere('Invalid escape character %j', escape);
+    }
+  }
   return stmt;
 };
 
+const LIKE_OPERATORS = ['like', 'nlike', 'ilike', 'nilike'];
+
 /**
- * @private
- * @param model
- * @param where
- * @returns {ParameterizedSQL}
+ * Escape the wildcards `%` and `_` and the escape character itself in the
+ * value so that they are matched literally by LIKE operators. The escape
+ * character has to be set as `options.escape` of the condition too, for
+ * example,
+ *
+ * ```js
+ * {name: {
+ *   ilike: SQLConnector.escapeLike(input, '!') + '%',
+ *   options: {escape: '!'},
+ * }}
+ * ```
+ *
+ * @param {String} value The value to be escaped
+ * @param {String} [escapeChar] The escape character, default to `\`
+ * @returns {String} The escaped value
  */
-SQLConnector.prototype._buildWhere = function(model, where) {
-  let columnValue, sqlExp;
-  if (!where) {
-    return new ParameterizedSQL('');
-  }
-  if (typeof where !== 'object' || Array.isArray(where)) {
-    debug('Invalid value for where: %j', where);
-    return new ParameterizedSQL('');
+SQLConnector.escapeLike = function(value, escapeChar) {
+  escapeChar = escapeChar || '\\';
+  return String(value).split('').map(function(c) {
+    return c === '%' || c === '_' || c === escapeChar ? escapeChar + c : c;
+  }).join('');
+};
+
+/**
+ * Build SQL expression for array operators on array typed properties:
+ *
+ * - contains: the column contains all the values
+ * - containedBy: all the values in the column are in the given values
+ * - overlaps: the column contains any of the values
+ * - size: the column has the given number of values
+ *
+ * The default implementation uses the PostgreSQL syntax, connectors should
+ * override it with their own dialect.
+ *
+ * Juggler coerces the where object of `Model.find` with its own operators
+ * only, so the array operators require the `allowExtendedOperators` setting
+ * of the model or option of the query. Without it, the condition becomes an
+ * equality with the coerced value.
+ *
+ * @param {String} columnName Escaped column name
+ * @param {String} operator The array operator
+ * @param {*} columnValue Column value, the array for `contains`,
+ * `containedBy` and `overlaps` or the number for `size`
+ * @param {Object} propertyDefinition Property definition
+ * @returns {ParameterizedSQL} The SQL expression
+ */
+SQLConnector.prototype.buildArrayExpression =
+function(columnName, operator, columnValue, propertyDefinition) {
+  const clause = columnValue instanceof ParameterizedSQL ? columnValue :
+    new ParameterizedSQL(PLACEHOLDER, [columnValue]);
+  let sqlExp;
+  switch (operator) {
+    case 'contains':
+      sqlExp = columnName + ' @> ';
+      break;
+    case 'containedBy':
+      sqlExp = columnName + ' <@ ';
+      break;
+    case 'overlaps':
+      sqlExp = columnName + ' && ';
+      break;
+    case 'size':
+      sqlExp = 'CARDINALITY(' + columnName + ')=';
+      break;
   }
-  const self = this;
-  const props = self.getModelDefinition(model).properties;
+  return ParameterizedSQL.join([sqlExp, clause], '');
+};
 
-  const whereStmts = [];
-  for (const key in where) {
-    const stmt = new ParameterizedSQL('', []);
-    // Handle and/or operators
-    if (key === 'and' || key === 'or') {
-      const branches = [];
-      let branchParams = [];
-      const clauses = where[key];
-      if (Array.isArray(clauses)) {
-        for (let i = 0, n = clauses.length; i < n; i++) {
-          const stmtForClause = self._buildWhere(model, clauses[i]);
-          if (stmtForClause.sql) {
-            stmtForClause.sql = '(' + stmtForClause.sql + ')';
-            branchParams = branchParams.concat(stmtForClause.params);
-            branches.push(stmtForClause.sql);
-          }
+const ARRAY_OPERATORS = ['contains', 'containedBy', 'overlaps', 'size'];
+
+const TEXT_SEARCH_KEY = '$text';
+
+// Built-in operators of where conditions for the `strictWhere` validation
+const WHERE_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'between', 'inq', 'nin',
+  'neq', 'like', 'nlike', 'ilike', 'nilike', 'regexp', 'match', 'fulltext']
+  .concat(ARRAY_OPERATORS);
+const RELEVANCE_COLUMN = '$relevance';
+
+/**
+ * Build the full-text search expression for the `match`/`fulltext` operators
+ * and the `$text` condition. The default implementation uses the
+ * `MATCH ... AGAINST` syntax, connectors should override it with their own
+ * dialect, such as `to_tsvector(col) @@ plainto_tsquery(?)`.
+ *
+ * The same expression is used to sort by relevance with the `$relevance`
+ * pseudo-column in `order`, so it must evaluate to a score when it is not
+ * used as a condition.
+ *
+ * Juggler coerces the where object of `Model.find` with its own operators
+ * only, so `match` and `fulltext` require the `allowExtendedOperators`
+ * setting of the model or option of the query. The `$text` condition does
+ * not.
+ *
+ * @param {String} model Model name
+ * @param {String[]} columnNames Escaped names of the columns to search
+ * @param {String} query The search text
+ * @param {Object} options Options of the search, such as `{mode: 'boolean'}`
+ * @returns {ParameterizedSQL} The SQL expression
+ */
+SQLConnector.prototype.buildFullTextExpression =
+function(model, columnNames, query, options) {
+  return new ParameterizedSQL('MATCH(' + columnNames.join(',') +
+    ') AGAINST(' + PLACEHOLDER + ')', [query]);
+};
+
+/*
+ * Build the full-text search for the `$text` condition.
+ * @param {String} model Model name
+ * @param {Object} text The condition, such as `{search: 'foo', fields: [...]}`.
+ * Properties defined with `fullText: true` are searched if `fields` is not set
+ * @returns {ParameterizedSQL} The SQL expression, or `null` if the condition
+ * does not have any search text
+ * @private
+ */
+SQLConnector.prototype._buildTextSearch = function(model, text) {
+  if (text == null || text.search == null || text.search === '') {
+    this._skipInvalidWhere('Invalid value for %s: %j', TEXT_SEARCH_KEY, text);
+    return null;
+  }
+  const self = this;
+  const props = this.getModelDefinition(model).properties;
+  let fields = text.fields;
+  if (typeof fields === 'string') {
+    fields = [fields];
+  }
+  if (!Array.isArray(fields) || !fields.length) {
+    fields = Object.keys(props).filter(function(p) {
+      return props[p].fullText;
+    });
+  }
+  fields = fields.filter(function(p) {
+    return props[p] != null;
+  });
+  if (!fields.length) {
+    throw badRequest(g.f('No full-text fields are defined for ' +
+      'model %s', model));
+  }
+  const options = Object.assign({}, text);
+  delete options.search;
+  delete options.fields;
+  return this.buildFullTextExpression(model, fields.map(function(p) {
+    return self.columnEscaped(model, p);
+  }), String(text.search), options);
+};
+
+/*
+ * Convert the value of a where condition to the column value, raw SQL
+ * expressions are used as they are
+ * @param {Object} prop The property definition
+ * @param {*} value The value
+ * @returns {*} The column value
+ * @private
+ */
+SQLConnector.prototype._toWhereValue = function(prop, value) {
+  return isRawSQL(value) ? copyRawSQL(value) : this.toColumnValue(prop, value);
+};
+
+/*
+ * Skip an invalid part of the where object, or reject it with an
+ * `INVALID_WHERE` error if the `strictWhere` setting of the connector is on.
+ * The arguments are the message and its format arguments.
+ * @private
+ */
+SQLConnector.prototype._skipInvalidWhere = function(msg) {
+  if (this.settings.strictWhere) {
+    throw badRequest(g.f.apply(g, arguments), 'INVALID_WHERE');
+  }
+  debug.apply(null, arguments);
+};
+
+/**
+ * @private
+ * @param model
+ * @param where
+ * @param {Object} [aliases] Extra keys allowed in the where object, such as
+ * aggregates for HAVING, mapped to `{sql: expression, property: definition}`
+ * @returns {ParameterizedSQL}
+ */
+SQLConnector.prototype._buildWhere = function(model, where, aliases) {
+  let columnValue, sqlExp;
+  if (!where) {
+    return new ParameterizedSQL('');
+  }
+  if (isRawSQL(where)) {
+    return copyRawSQL(where);
+  }
+  if (typeof where !== 'object' || Array.isArray(where)) {
+    this._skipInvalidWhere('Invalid value for where: %j', where);
+    return new ParameterizedSQL('');
+  }
+  const self = this;
+  const props = self.getModelDefinition(model).properties;
+
+  const whereStmts = [];
+  for (const key in where) {
+    const stmt = new ParameterizedSQL('', []);
+    // Handle and/or/nor operators
+    if (key === 'and' || key === 'or' || key === 'nor') {
+      const branches = [];
+      let branchParams = [];
+      const clauses = where[key];
+      if (Array.isArray(clauses)) {
+        for (let i = 0, n = clauses.length; i < n; i++) {
+          const stmtForClause = self._buildWhere(model, clauses[i], aliases);
+          if (stmtForClause.sql) {
+            stmtForClause.sql = '(' + stmtForClause.sql + ')';
+            branchParams = branchParams.concat(stmtForClause.params);
+            branches.push(stmtForClause.sql);
+          }
         }
         if (branches.length > 0) {
+          // NOR is the negation of OR
+          const sql = key === 'nor' ?
+            'NOT (' + branches.join(' OR ') + ')' :
+            '(' + branches.join(' ' + key.toUpperCase() + ' ') + ')';
           stmt.merge({
-            sql: '(' + branches.join(' ' + key.toUpperCase() + ' ') + ')',
+            sql: sql,
             params: branchParams,
           });
           whereStmts.push(stmt);
@@ -1142,31 +2549,87 @@ SQLConnector.prototype._buildWhere = function(model, where) {
       }
       // The value is not an array, fall back to regular fields
     }
-    const p = props[key];
+    // Handle the not operator
+    if (key === 'not' && where[key] && where[key].constructor === Object) {
+      const stmtForNot = self._buildWhere(model, where[key], aliases);
+      if (stmtForNot.sql) {
+        stmt.merge({
+          sql: 'NOT (' + stmtForNot.sql + ')',
+          params: stmtForNot.params,
+        });
+        whereStmts.push(stmt);
+      }
+      continue;
+    }
+    if (key === TEXT_SEARCH_KEY) {
+      const textStmt = self._buildTextSearch(model, where[key]);
+      if (textStmt) {
+        whereStmts.push(textStmt);
+      }
+      continue;
+    }
+    let alias = aliases && Object.prototype.hasOwnProperty.call(aliases, key) ?
+      aliases[key] : null;
+    if (!alias && props[key] == null && key.indexOf('.') !== -1) {
+      // Try a nested property of a JSON column, such as `address.city`
+      alias = self._getJsonPathColumn(model, key);
+      if (!alias) {
+        // Try a property of related models, such as `customer.name`
+        const relationStmt = self.buildRelationWhere(model, key, where[key]);
+        if (relationStmt) {
+          whereStmts.push(relationStmt);
+          continue;
+        }
+      }
+    }
+    const p = alias ? alias.property : props[key];
     if (p == null) {
       // Unknown property, ignore it
-      debug('Unknown property %s is skipped for model %s', key, model);
+      self._skipInvalidWhere('Unknown property %s for model %s', key, model);
       continue;
     }
     // eslint-disable one-var
     let expression = where[key];
-    const columnName = self.columnEscaped(model, key);
+    const columnName = alias ? alias.sql : self.columnEscaped(model, key);
     // eslint-enable one-var
     if (expression === null || expression === undefined) {
       stmt.merge(columnName + ' IS NULL');
     } else if (expression && expression.constructor === Object) {
-      const operator = Object.keys(expression)[0];
+      const operatorOptions = expression.options;
+      const operator = Object.keys(expression).filter(function(k) {
+        return k !== 'options';
+      })[0];
       // Get the expression without the operator
       expression = expression[operator];
-      if (operator === 'inq' || operator === 'nin' || operator === 'between') {
+      const custom = self.operators[operator];
+      if (self.settings.strictWhere) {
+        if (!custom && WHERE_OPERATORS.indexOf(operator) === -1) {
+          throw badRequest(g.f('Unknown operator %j for property %s ' +
+            'of model %s', operator, key, model), 'INVALID_WHERE');
+        }
+        if (Object.keys(where[key]).length > (operatorOptions ? 2 : 1)) {
+          throw badRequest(g.f('Only one operator is allowed for ' +
+            'property %s of model %s', key, model), 'INVALID_WHERE');
+        }
+      }
+      if (!custom && (operator === 'match' || operator === 'fulltext')) {
+        stmt.merge(self.buildFullTextExpression(model, [columnName],
+          String(expression), operatorOptions || {}));
+        whereStmts.push(stmt);
+        continue;
+      }
+      if (custom) {
+        columnValue = self._coerceOperatorValue(custom, p, expression);
+      } else if (operator === 'inq' || operator === 'nin' ||
+        operator === 'between') {
         columnValue = [];
         if (Array.isArray(expression)) {
           // Column value is a list
           for (let j = 0, m = expression.length; j < m; j++) {
-            columnValue.push(this.toColumnValue(p, expression[j]));
+            columnValue.push(this._toWhereValue(p, expression[j]));
           }
         } else {
-          columnValue.push(this.toColumnValue(p, expression));
+          columnValue.push(this._toWhereValue(p, expression));
         }
         if (operator === 'between') {
           // BETWEEN v1 AND v2
@@ -1187,19 +2650,32 @@ SQLConnector.prototype._buildWhere = function(model, where) {
       } else if (operator === 'regexp' && expression instanceof RegExp) {
         // do not coerce RegExp based on property definitions
         columnValue = expression;
+      } else if (ARRAY_OPERATORS.indexOf(operator) !== -1) {
+        if (!Array.isArray(p.type)) {
+          self._skipInvalidWhere('Array operator %s for non-array property ' +
+            '%s of model %s', operator, key, model);
+          continue;
+        }
+        if (operator === 'size') {
+          columnValue = Number(expression);
+        } else {
+          columnValue = this.toColumnValue(p,
+            Array.isArray(expression) ? expression : [expression]);
+        }
       } else {
-        columnValue = this.toColumnValue(p, expression);
+        columnValue = this._toWhereValue(p, expression);
       }
-      sqlExp = self.buildExpression(columnName, operator, columnValue, p);
+      sqlExp = self.buildExpression(columnName, operator, columnValue, p,
+        operatorOptions);
       stmt.merge(sqlExp);
     } else {
       // The expression is the field value, not a condition
-      columnValue = self.toColumnValue(p, expression);
+      columnValue = self._toWhereValue(p, expression);
       if (columnValue === null) {
         stmt.merge(columnName + ' IS NULL');
       } else {
         if (columnValue instanceof ParameterizedSQL) {
-          stmt.merge(columnName + '=').merge(columnValue);
+          stmt.merge(columnName + '=').merge(columnValue, '');
         } else {
           stmt.merge({
             sql: columnName + '=?',
@@ -1225,31 +2701,311 @@ SQLConnector.prototype._buildWhere = function(model, where) {
 };
 
 /**
- * Build the ORDER BY clause
+ * Build the condition for a where key referencing a property of related
+ * models, such as `customer.name` or `customer.company.name`, as nested
+ * `EXISTS` subqueries correlated by the relation keys, for example,
+ *
+ * ```sql
+ * EXISTS (SELECT 1 FROM `CUSTOMER` `customer`
+ *   WHERE `customer`.`ID`=`ORDER`.`CUSTOMERID` AND `NAME`=?)
+ * ```
+ *
+ * belongsTo, hasOne and hasMany relations to models of the same connector
+ * are supported, a hasMany condition matches if any related instance matches.
+ * Soft deleted related instances never match.
+ *
+ * @param {String} model Model name
+ * @param {String} key The where key with the relation path
+ * @param {*} expression The value or the condition for the key
+ * @returns {ParameterizedSQL} The SQL condition, or `null` if the key does
+ * not reference a supported relation
+ */
+SQLConnector.prototype.buildRelationWhere = function(model, key, expression) {
+  const path = key.split('.');
+  const relations = [];
+  let current = model;
+  let i = 0;
+  for (; i < path.length - 1; i++) {
+    const definition = this.getModelDefinition(current);
+    if (definition.properties[path[i]]) {
+      // The rest of the path is a nested property
+      break;
+    }
+    const relation = (definition.model.relations || {})[path[i]];
+    if (!relation || relation.polymorphic || relation.modelThrough ||
+      ['belongsTo', 'hasOne', 'hasMany'].indexOf(relation.type) === -1 ||
+      !relation.modelTo ||
+      !this.getModelDefinition(relation.modelTo.modelName)) {
+      debug('Unsupported relation %s is skipped for model %s', path[i], current);
+      return null;
+    }
+    relations.push(relation);
+    current = relation.modelTo.modelName;
+  }
+  if (!relations.length) {
+    return null;
+  }
+  const where = {};
+  where[path.slice(i).join('.')] = expression;
+  let stmt = this._buildWhere(current, where);
+  if (!stmt.sql) {
+    return null;
+  }
+  if (this._getSoftDeleteProperty(current)) {
+    stmt = this._buildWhere(current, this._excludeDeleted(current, where));
+  }
+  // Wrap the condition from the innermost relation outwards
+  for (let j = relations.length - 1; j >= 0; j--) {
+    const relation = relations[j];
+    const modelFrom = relation.modelFrom.modelName;
+    const modelTo = relation.modelTo.modelName;
+    const outerAlias = j === 0 ? this.tableEscaped(model) :
+      this.escapeName(path.slice(0, j).join(JOIN_COLUMN_SEPARATOR));
+    const innerAlias =
+      this.escapeName(path.slice(0, j + 1).join(JOIN_COLUMN_SEPARATOR));
+    // The innermost model is filtered by the where object above
+    const notDeleted = j < relations.length - 1 ?
+      this._buildNotDeleted(modelTo, innerAlias) : '';
+    const existsStmt = new ParameterizedSQL('EXISTS (SELECT 1 FROM ' +
+      this.tableEscaped(modelTo) + ' ' + innerAlias + ' WHERE ' +
+      innerAlias + '.' + this.columnEscaped(modelTo, relation.keyTo) + '=' +
+      outerAlias + '.' + this.columnEscaped(modelFrom, relation.keyFrom) +
+      (notDeleted ? ' AND ' + notDeleted : '') + ' AND');
+    existsStmt.merge(stmt);
+    existsStmt.sql += ')';
+    stmt = existsStmt;
+  }
+  return stmt;
+};
+
+/**
+ * Build the ORDER BY clause as a string. Sorting criteria with parameters,
+ * such as `$relevance` or raw SQL expressions with parameters, are rejected,
+ * use `buildOrderByClause` for them. `buildSelect` calls this method unless
+ * the order has parameters, so connectors can override it for their dialect.
  * @param {string} model Model name
  * @param {string[]} order An array of sorting criteria
+ * @param {Object} [where] The where object
  * @returns {string} The ORDER BY clause
  */
-SQLConnector.prototype.buildOrderBy = function(model, order) {
-  if (!order) {
-    return '';
+SQLConnector.prototype.buildOrderBy = function(model, order, where) {
+  const clause = this.buildOrderByClause(model, order, where);
+  if (clause.params.length) {
+    throw badRequest(g.f('The {{order}} with parameters requires ' +
+      '{{buildOrderByClause()}}'));
+  }
+  return clause.sql;
+};
+
+/**
+ * Build the ORDER BY clause. Each sorting criterion is either a string such
+ * as `'name DESC NULLS LAST'`, an object such as
+ * `{field: 'name', direction: 'desc', nulls: 'last'}` or a raw SQL expression.
+ * Directions other than `ASC`/`DESC` and nulls orders other than
+ * `FIRST`/`LAST` are rejected.
+ * @param {string} model Model name
+ * @param {string[]} order An array of sorting criteria
+ * @param {Object} [where] The where object, required to sort by the
+ * `$relevance` of its `$text` search
+ * @returns {ParameterizedSQL} The ORDER BY clause, with empty `sql` if there
+ * is no sorting criterion
+ */
+SQLConnector.prototype.buildOrderByClause = function(model, order, where) {
+  const keys = parseOrder(order);
+  if (!keys.length) {
+    return new ParameterizedSQL('');
   }
   const self = this;
-  if (typeof order === 'string') {
+  const clauses = [];
+  let params = [];
+  for (let i = 0, n = keys.length; i < n; i++) {
+    const key = keys[i];
+    if (isRawSQL(key)) {
+      clauses.push(key.sql);
+      params = params.concat(key.params);
+      continue;
+    }
+    let columnName;
+    if (key.property === RELEVANCE_COLUMN) {
+      const text = where && where[TEXT_SEARCH_KEY];
+      const relevance = text && self._buildTextSearch(model, text);
+      if (!relevance) {
+        throw badRequest(g.f('{{%s}} requires a {{%s}} search',
+          RELEVANCE_COLUMN, TEXT_SEARCH_KEY));
+      }
+      columnName = relevance.sql;
+      params = params.concat(relevance.params);
+    } else {
+      const jsonPath = self._getJsonPathColumn(model, key.property);
+      columnName = jsonPath ? jsonPath.sql :
+        self.columnEscaped(model, key.property);
+    }
+    clauses.push(self.buildOrderByColumn(columnName, key.direction, key.nulls));
+  }
+  return new ParameterizedSQL('ORDER BY ' + clauses.join(','), params);
+};
+
+/**
+ * Build a sorting criterion of the ORDER BY clause. The default
+ * implementation uses the standard `NULLS FIRST`/`NULLS LAST` syntax,
+ * connectors without it should override the method, for example, with
+ * `col IS NULL DESC, col ASC` for `NULLS FIRST`.
+ * @param {String} columnName The escaped column name or SQL expression
+ * @param {String} [direction] `ASC` or `DESC`
+ * @param {String} [nulls] `FIRST` or `LAST`
+ * @returns {String} The sorting criterion
+ */
+SQLConnector.prototype.buildOrderByColumn = function(columnName, direction,
+  nulls) {
+  let clause = columnName;
+  if (direction) {
+    clause += ' ' + direction;
+  }
+  if (nulls) {
+    clause += ' NULLS ' + nulls;
+  }
+  return clause;
+};
+
+/*!
+ * Parse the order filter into an array of `{property, direction, nulls}`
+ * with upper-cased `direction` and `nulls`, which are undefined if not
+ * specified. Raw SQL expressions are kept as they are.
+ * @param {String|Array} order The order filter
+ * @returns {Array} The order keys
+ */
+function parseOrder(order) {
+  if (!order) {
+    return [];
+  }
+  if (!Array.isArray(order)) {
     order = [order];
   }
-  const clauses = [];
+  const keys = [];
   for (let i = 0, n = order.length; i < n; i++) {
-    const t = order[i].split(/[\s,]+/);
-    if (t.length === 1) {
-      clauses.push(self.columnEscaped(model, order[i]));
+    const entry = order[i];
+    if (isRawSQL(entry)) {
+      keys.push(entry);
+    } else if (typeof entry === 'string') {
+      // Split 'f1 ASC, f2 DESC NULLS LAST' into criteria
+      entry.split(',').forEach(function(criterion) {
+        const t = criterion.trim().split(/\s+/);
+        if (!t[0]) return;
+        let j = 1;
+        let direction, nulls;
+        if (t[j] && t[j].toUpperCase() !== 'NULLS') {
+          direction = t[j++];
+        }
+        if (t[j] && t[j].toUpperCase() === 'NULLS') {
+          if (!t[j + 1]) {
+            throw badRequest(g.f('The {{order}} %j is not valid', entry));
+          }
+          nulls = t[j + 1];
+          j += 2;
+        }
+        const key = toOrderKey(t[0], direction, nulls, entry);
+        if (j < t.length) {
+          throw badRequest(g.f('The {{order}} %j is not valid', entry));
+        }
+        keys.push(key);
+      });
+    } else if (entry && typeof entry === 'object' &&
+      typeof entry.field === 'string' && entry.field) {
+      keys.push(toOrderKey(entry.field, entry.direction, entry.nulls, entry));
     } else {
-      clauses.push(self.columnEscaped(model, t[0]) + ' ' + t[1]);
+      throw badRequest(g.f('The {{order}} %j is not valid', entry));
     }
   }
-  return 'ORDER BY ' + clauses.join(',');
+  return keys;
+}
+
+/*!
+ * Validate the direction and the nulls order of a sorting criterion, they are
+ * embedded into SQL
+ */
+function toOrderKey(property, direction, nulls, entry) {
+  const key = {property: property};
+  if (direction != null) {
+    key.direction = String(direction).toUpperCase();
+    if (key.direction !== 'ASC' && key.direction !== 'DESC') {
+      throw badRequest(g.f('The {{order}} %j has invalid direction',
+        entry));
+    }
+  }
+  if (nulls != null) {
+    key.nulls = String(nulls).toUpperCase();
+    if (key.nulls !== 'FIRST' && key.nulls !== 'LAST') {
+      throw badRequest(g.f('The {{order}} %j has invalid nulls order',
+        entry));
+    }
+  }
+  return key;
+}
+
+/**
+ * Build the SQL expression to extract a nested value from a JSON column. The
+ * default implementation uses the standard `JSON_VALUE` function, connectors
+ * should override it with their own dialect, such as `col->>'city'`.
+ * @param {String} model Model name
+ * @param {String} property The name of the JSON property
+ * @param {String[]} path The path into the JSON value, for example,
+ * `['address', 'city']` or `['tags', '0']`. Each segment is either an
+ * identifier or an array index
+ * @returns {String} The SQL expression
+ */
+SQLConnector.prototype.buildJsonPathExpression = function(model, property, path) {
+  const jsonPath = path.map(function(segment) {
+    return /^\d+$/.test(segment) ? '[' + segment + ']' : '.' + segment;
+  }).join('');
+  return 'JSON_VALUE(' + this.columnEscaped(model, property) + ",'$" +
+    jsonPath + "')";
 };
 
+/*
+ * Resolve a dotted key into a path of a JSON property, such as
+ * `address.city` for an object typed `address` property
+ * @param {String} model Model name.
+ * @param {String} key The dotted key.
+ * @returns {Object} `{sql, property}` with the SQL expression and the nested
+ * property definition, or `null` if the key is not a JSON path.
+ * @private
+ */
+SQLConnector.prototype._getJsonPathColumn = function(model, key) {
+  if (key.indexOf('.') === -1) {
+    return null;
+  }
+  const path = key.split('.');
+  const p = this.getModelDefinition(model).properties[path[0]];
+  if (!p || !isJsonProperty(p)) {
+    return null;
+  }
+  // Segments are embedded into SQL, so only identifiers and indexes are allowed
+  const valid = path.slice(1).every(function(segment) {
+    return /^[A-Za-z_$][\w$]*$|^\d+$/.test(segment);
+  });
+  if (!valid) {
+    debug('Invalid JSON path %s is skipped for model %s', key, model);
+    return null;
+  }
+  return {
+    sql: this.buildJsonPathExpression(model, path[0], path.slice(1)),
+    // Values of untyped JSON are extracted and compared as strings
+    property: this.getPropertyDefinition(model, key) || {type: String},
+  };
+};
+
+/*!
+ * Check if the property is stored as JSON, such as `object`, `json`, arrays
+ * and embedded models
+ * @param {Object} prop The property definition
+ * @returns {Boolean}
+ */
+function isJsonProperty(prop) {
+  const type = prop.type;
+  return type === Object || Array.isArray(type) ||
+    (typeof type === 'function' && (type.name === 'JSON' || !!type.definition));
+}
+
 /**
  * Build an array of fields for the database operation
  * @param {String} model Model name
@@ -1354,6 +3110,8 @@ SQLConnector.prototype.buildFieldsForUpdate = function(model, data, excludeIds)
     excludeIds = true;
   }
   const fields = this.buildFields(model, data, excludeIds);
+  this._incrementVersion(model, fields);
+  this._setTimestamps(model, fields, data, false);
   return this._constructUpdateParameterizedSQL(fields);
 };
 
@@ -1369,9 +3127,133 @@ SQLConnector.prototype.buildFieldsForReplace = function(model, data, excludeIds)
     excludeIds = true;
   }
   const fields = this.buildReplaceFields(model, data, excludeIds);
+  this._incrementVersion(model, fields);
+  this._setTimestamps(model, fields, data, false);
   return this._constructUpdateParameterizedSQL(fields);
 };
 
+/**
+ * Build the SQL expression for the current time of the database, used for
+ * the timestamps of models with `timestamps.databaseTime`
+ * @param {String} model The model name
+ * @returns {String} The SQL expression
+ */
+SQLConnector.prototype.buildCurrentTimestamp = function(model) {
+  return 'CURRENT_TIMESTAMP';
+};
+
+/*
+ * Get the timestamp properties for the `timestamps` setting of the model,
+ * `true` or `{createdAt, updatedAt, databaseTime}`. The property names
+ * default to `createdAt` and `updatedAt`, `false` disables one of them.
+ * Properties not defined by the model are ignored.
+ * @param {String} model The model name.
+ * @returns {Object} `{createdAt, updatedAt, databaseTime}`, or `null`.
+ * @private
+ */
+SQLConnector.prototype._getTimestampProperties = function(model) {
+  const definition = this.getModelDefinition(model);
+  const timestamps = definition && definition.settings &&
+    definition.settings.timestamps;
+  if (!timestamps) {
+    return null;
+  }
+  const settings = timestamps === true ? {} : timestamps;
+  const result = {databaseTime: !!settings.databaseTime};
+  ['createdAt', 'updatedAt'].forEach(function(key) {
+    const property = settings[key] === undefined ? key : settings[key];
+    if (property && definition.properties[property]) {
+      result[key] = property;
+    }
+  });
+  return result;
+};
+
+/*
+ * Set the timestamps of the model to the fields. Inserts set `createdAt`
+ * unless the data has a value for it, updates leave it unchanged. Both set
+ * `updatedAt`.
+ * @param {String} model The model name.
+ * @param {Object} fields The fields from `buildFields`.
+ * @param {Object} data The model data object.
+ * @param {Boolean} isInsert Whether the fields are for an insert.
+ * @param {Date} [now] The time to set, default to the current time.
+ * @returns {Object} The fields.
+ * @private
+ */
+SQLConnector.prototype._setTimestamps = function(model, fields, data,
+  isInsert, now) {
+  const timestamps = this._getTimestampProperties(model);
+  if (!timestamps) {
+    return fields;
+  }
+  const self = this;
+  const props = this.getModelDefinition(model).properties;
+  now = now || new Date();
+  const setTimestamp = function(property) {
+    let value;
+    if (timestamps.databaseTime) {
+      value = new ParameterizedSQL(self.buildCurrentTimestamp(model));
+    } else {
+      value = self.toColumnValue(props[property], now);
+      if (!(value instanceof ParameterizedSQL)) {
+        value = new ParameterizedSQL(PLACEHOLDER, [value]);
+      }
+    }
+    setField(fields, self.columnEscaped(model, property), value,
+      props[property]);
+  };
+  const createdAt = timestamps.createdAt;
+  if (createdAt) {
+    const column = this.columnEscaped(model, createdAt);
+    const index = fields.names.indexOf(column);
+    if (!isInsert) {
+      removeField(fields, column);
+    } else if (data == null || data[createdAt] == null) {
+      setTimestamp(createdAt);
+    } else if (index !== -1) {
+      // Keep the given value, at the same position as the generated ones so
+      // that the columns of multiple rows line up
+      setField(fields, column, fields.columnValues[index], props[createdAt]);
+    }
+  }
+  if (timestamps.updatedAt) {
+    setTimestamp(timestamps.updatedAt);
+  }
+  return fields;
+};
+
+/*
+ * Remove the column from the fields
+ * @param {Object} fields The fields from `buildFields`.
+ * @param {String} name The escaped column name.
+ * @returns {Boolean} `true` if the column was found.
+ */
+function removeField(fields, name) {
+  const index = fields.names.indexOf(name);
+  if (index === -1) {
+    return false;
+  }
+  fields.names.splice(index, 1);
+  fields.columnValues.splice(index, 1);
+  fields.properties.splice(index, 1);
+  return true;
+}
+
+/*
+ * Set the value of the column in the fields, replacing the existing one
+ * @param {Object} fields The fields from `buildFields`.
+ * @param {String} name The escaped column name.
+ * @param {ParameterizedSQL} value The column value.
+ * @param {Object} property The model property.
+ */
+function setField(fields, name, value, property) {
+  removeField(fields, name);
+  fields.names.push(name);
+  fields.columnValues.push(value);
+  fields.properties.push(property);
+}
+
 /*
  * @param {Object} field The fileds.
  * @returns {Object} parameterizedSQL.
@@ -1389,7 +3271,8 @@ SQLConnector.prototype._constructUpdateParameterizedSQL = function(fields) {
 };
 
 /**
- * Build a list of escaped column names for the given model and fields filter
+ * Build a list of escaped column names for the given model and fields filter.
+ * Computed columns are not included, see `buildSelectColumns`.
  * @param {string} model Model name
  * @param {object} filter The filter object
  * @returns {string} Comma separated string of escaped column names
@@ -1419,67 +3302,561 @@ SQLConnector.prototype.buildColumnNames = function(model, filter) {
         excluded.push(k);
       }
     });
-    if (included.length > 0) {
-      keys = included;
-    } else if (excluded.length > 0) {
-      excluded.forEach(function(e) {
-        const index = keys.indexOf(e);
-        keys.splice(index, 1);
-      });
-    }
+    if (included.length > 0) {
+      keys = included;
+    } else if (excluded.length > 0) {
+      excluded.forEach(function(e) {
+        const index = keys.indexOf(e);
+        keys.splice(index, 1);
+      });
+    }
+  }
+  const names = keys.map(function(c) {
+    return self.columnEscaped(model, c);
+  });
+  return names.join(',');
+};
+
+/**
+ * Build the columns of the SELECT statement, the column names from
+ * `buildColumnNames` followed by the computed columns. Raw SQL expressions in
+ * the object form of the fields filter are selected as computed columns
+ * aliased by their keys, for example,
+ * `{total: SQLConnector.raw('price * qty')}`. Computed columns are not
+ * passed through by `Model.find`, see `SQLConnector.raw`.
+ * @param {string} model Model name
+ * @param {object} filter The filter object
+ * @returns {ParameterizedSQL} The columns
+ */
+SQLConnector.prototype.buildSelectColumns = function(model, filter) {
+  const self = this;
+  const fieldsFilter = filter && filter.fields;
+  const columns = getComputedFields(filter).map(function(alias) {
+    return copyRawSQL(fieldsFilter[alias]).merge('AS ' +
+      self.escapeName(alias));
+  });
+  return ParameterizedSQL.join([this.buildColumnNames(model, filter)]
+    .concat(columns), ',');
+};
+
+/*!
+ * Get the aliases of computed columns in the fields filter
+ * @param {Object} filter The filter object
+ * @returns {String[]} The aliases
+ */
+function getComputedFields(filter) {
+  const fields = filter && filter.fields;
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return [];
+  }
+  return Object.keys(fields).filter(function(key) {
+    return isRawSQL(fields[key]);
+  });
+}
+
+/**
+ * Build a SQL SELECT statement. Soft deleted rows are excluded unless
+ * `options.withDeleted` is set. `filter.distinct` is either `true` for
+ * `SELECT DISTINCT` or a property name or an array of property names for
+ * `DISTINCT ON`.
+ * @param {String} model Model name
+ * @param {Object} filter Filter object
+ * @param {Object} options Options object
+ * @returns {ParameterizedSQL} Statement object {sql: ..., params: ...}
+ */
+SQLConnector.prototype.buildSelect = function(model, filter, options) {
+  const distinct = typeof filter.distinct === 'string' ?
+    [filter.distinct] : filter.distinct;
+  if (distinct && distinct !== true && !Array.isArray(distinct)) {
+    throw badRequest(g.f('The {{distinct}} %j is not valid', distinct));
+  }
+  const distinctOn = Array.isArray(distinct) ?
+    this._getDistinctProperties(model, distinct) : null;
+  if (!filter.order) {
+    if (distinctOn && distinctOn.length) {
+      // The leading order has to match the DISTINCT ON columns
+      filter.order = distinctOn.slice();
+    } else if (!distinct || (distinctOn && !distinctOn.length)) {
+      // Ordering by ids that are not selected is invalid for DISTINCT
+      const idNames = this.idNames(model);
+      if (idNames && idNames.length) {
+        filter.order = idNames;
+      }
+    }
+  }
+
+  let order = filter.order;
+  let cursorStmt;
+  if (filter.after || filter.before) {
+    if (filter.after && filter.before) {
+      throw badRequest(g.f('{{after}} and {{before}} cannot be used together'));
+    }
+    if (hasRawOrder(filter.order)) {
+      throw badRequest(g.f('Raw SQL expressions in {{order}} cannot ' +
+        'be used with {{after}} or {{before}}'));
+    }
+    const keys = this._getCursorOrder(model, filter.order);
+    filter.order = keys.map(orderKeyToString);
+    // Walk backwards for `before` and reverse the rows afterwards
+    const queryKeys = filter.before ? keys.map(reverseOrderKey) : keys;
+    const values = decodeCursor(filter.after || filter.before, keys.length);
+    cursorStmt = this.buildCursorCondition(model, queryKeys, values);
+    order = queryKeys.map(orderKeyToString);
+  }
+
+  const joins = this._getJoinIncludes(model, filter, options);
+  let selectStmt = new ParameterizedSQL('SELECT');
+  if (distinctOn && distinctOn.length) {
+    const self = this;
+    selectStmt.merge(this.buildDistinctOn(model,
+      distinctOn.map(function(p) {
+        return self.columnEscaped(model, p);
+      })));
+  } else if (distinct === true) {
+    selectStmt.merge('DISTINCT');
+  }
+  selectStmt.merge(this.buildSelectColumns(model,
+    addJoinKeysToFields(filter, joins, this._normalizeOrder(order))));
+  selectStmt.merge('FROM ' + this.tableEscaped(model));
+
+  if (filter) {
+    const where = this._excludeDeleted(model, filter.where, options);
+    if (where || cursorStmt) {
+      const whereStmt = this.buildWhere(model, where);
+      if (cursorStmt) {
+        if (whereStmt.sql) {
+          whereStmt.merge(cursorStmt, ' AND ');
+        } else {
+          whereStmt.merge('WHERE').merge(cursorStmt);
+        }
+      }
+      selectStmt.merge(whereStmt);
+    }
+
+    const paginated = filter.limit || filter.skip || filter.offset;
+    // A derived table cannot be ordered without pagination on some databases,
+    // such as SQL Server, the joined rows are ordered outside of it instead
+    if (order && (paginated || !joins.length ||
+      (distinctOn && distinctOn.length))) {
+      let orderBy = this.buildOrderByClause(model, order, filter.where);
+      if (!orderBy.params.length) {
+        orderBy = this.buildOrderBy(model, order, filter.where);
+      }
+      if (orderBy) {
+        selectStmt.merge(orderBy);
+      }
+    }
+
+    if (paginated) {
+      selectStmt = this.applyPagination(
+        model, selectStmt, filter,
+      );
+    }
+  }
+  if (options && options.lock) {
+    selectStmt.merge(this._buildLock(model, options));
+  }
+  if (joins.length) {
+    selectStmt = this.buildJoinSelect(model, selectStmt, order, joins,
+      options);
+  }
+  return this.parameterize(selectStmt);
+};
+
+/**
+ * Build the row locking clause of the SELECT statement for `options.lock`.
+ * The default implementation uses the `FOR UPDATE`/`FOR SHARE` syntax,
+ * connectors should override it with their own dialect.
+ * @param {String} model The model name
+ * @param {String} mode The lock mode, `update` or `share`
+ * @param {Object} lockOptions Options of the lock
+ * @param {Boolean} lockOptions.nowait Fail instead of waiting for locked rows
+ * @param {Boolean} lockOptions.skipLocked Skip locked rows
+ * @returns {String} The locking clause
+ */
+SQLConnector.prototype.buildLockClause = function(model, mode, lockOptions) {
+  let clause = mode === 'share' ? 'FOR SHARE' : 'FOR UPDATE';
+  if (lockOptions.nowait) {
+    clause += ' NOWAIT';
+  } else if (lockOptions.skipLocked) {
+    clause += ' SKIP LOCKED';
+  }
+  return clause;
+};
+
+/*
+ * Validate `options.lock` and build the locking clause. Locks are only held
+ * until the end of the transaction, so an active transaction is required.
+ * @param {String} model The model name.
+ * @param {Object} options The options object with `lock` set to `update`,
+ * `share` or `{mode, nowait, skipLocked}`.
+ * @returns {String} The locking clause.
+ * @private
+ */
+SQLConnector.prototype._buildLock = function(model, options) {
+  const lock = typeof options.lock === 'string' ?
+    {mode: options.lock} : options.lock;
+  if (lock.mode !== 'update' && lock.mode !== 'share') {
+    throw badRequest(g.f('Invalid lock mode %j', lock.mode));
+  }
+  if (lock.nowait && lock.skipLocked) {
+    throw badRequest(g.f('{{nowait}} and {{skipLocked}} cannot be ' +
+      'used together'));
+  }
+  const tx = options.transaction;
+  if (!tx || (typeof tx.isActive === 'function' && !tx.isActive())) {
+    throw badRequest(g.f('{{lock}} requires an active transaction'));
+  }
+  return this.buildLockClause(model, lock.mode, {
+    nowait: !!lock.nowait,
+    skipLocked: !!lock.skipLocked,
+  });
+};
+
+/**
+ * Build the `DISTINCT ON` clause to select the first row of each group of
+ * rows with the same values of the given columns, for `filter.distinct` set
+ * to a property or an array of properties. The default implementation uses
+ * the PostgreSQL syntax, connectors should override it with their own
+ * dialect.
+ * @param {String} model The model name
+ * @param {String[]} columnNames The escaped column names
+ * @returns {String} The DISTINCT ON clause
+ */
+SQLConnector.prototype.buildDistinctOn = function(model, columnNames) {
+  return 'DISTINCT ON (' + columnNames.join(',') + ')';
+};
+
+/*
+ * Get the valid properties of the distinct filter
+ * @param {String} model The model name.
+ * @param {String|String[]} distinct The property names.
+ * @returns {String[]} The property names.
+ * @private
+ */
+SQLConnector.prototype._getDistinctProperties = function(model, distinct) {
+  const props = this.getModelDefinition(model).properties;
+  return [].concat(distinct).filter(function(p) {
+    if (props[p] == null) {
+      debug('Unknown property %s is skipped for distinct of model %s',
+        p, model);
+      return false;
+    }
+    return true;
+  });
+};
+
+const JOIN_COLUMN_SEPARATOR = '__';
+
+/**
+ * Wrap the SELECT statement with LEFT JOINs for the included belongsTo and
+ * hasOne relations, for example,
+ *
+ * ```sql
+ * SELECT `order`.*,`customer`.`NAME` AS `customer__NAME`
+ * FROM (SELECT ... FROM `ORDER` WHERE ...) `order`
+ * LEFT JOIN `CUSTOMER` `customer` ON `customer`.`NAME`=`order`.`CUSTOMERNAME`
+ * ```
+ *
+ * The derived table is aliased by the model name, and ordered only if it is
+ * paginated.
+ *
+ * Columns of related models are aliased as `<relation>__<column>` so that
+ * `fromRow` can split them into nested objects.
+ *
+ * @param {String} model Model name
+ * @param {ParameterizedSQL} stmt The SELECT statement for the model
+ * @param {String|String[]} order The order of the statement
+ * @param {Object[]} joins The joined relations from `_getJoinIncludes`
+ * @param {Object} [options] Options object, soft deleted related rows are not
+ * joined unless `options.withDeleted` is set
+ * @returns {ParameterizedSQL} The SELECT statement with joins
+ */
+SQLConnector.prototype.buildJoinSelect = function(model, stmt, order, joins,
+  options) {
+  const self = this;
+  const alias = this.escapeName(model);
+  const columns = [alias + '.*'];
+  const clauses = [];
+  joins.forEach(function(join) {
+    const relation = join.relation;
+    const modelTo = relation.modelTo.modelName;
+    const joinAlias = self.escapeName(join.name);
+    const props = self.getModelDefinition(modelTo).properties;
+    for (const p in props) {
+      const column = self.column(modelTo, p);
+      columns.push(joinAlias + '.' + self.escapeName(column) + ' AS ' +
+        self.escapeName(join.name + JOIN_COLUMN_SEPARATOR + column));
+    }
+    const notDeleted = options && options.withDeleted ? '' :
+      self._buildNotDeleted(modelTo, joinAlias);
+    clauses.push('LEFT JOIN ' + self.tableEscaped(modelTo) + ' ' + joinAlias +
+      ' ON ' + joinAlias + '.' + self.columnEscaped(modelTo, relation.keyTo) +
+      '=' + alias + '.' + self.columnEscaped(model, relation.keyFrom) +
+      (notDeleted ? ' AND ' + notDeleted : ''));
+  });
+  const joinStmt = new ParameterizedSQL('SELECT ' + columns.join(',') +
+    ' FROM (');
+  joinStmt.merge(stmt, '');
+  joinStmt.merge(') ' + alias + ' ' + clauses.join(' '), '');
+  const keys = this._normalizeOrder(order);
+  if (keys.length) {
+    joinStmt.merge('ORDER BY ' + keys.map(function(key) {
+      return self.buildOrderByColumn(alias + '.' +
+        self.columnEscaped(model, key.property), key.direction, key.nulls);
+    }).join(','));
+  }
+  return joinStmt;
+};
+
+/*
+ * Find the included relations that can be fetched with LEFT JOINs. Joins are
+ * used when enabled by the `joinInclude` setting of the connector or the
+ * `joinInclude` option, for belongsTo and hasOne relations included by name
+ * to models of the same connector without scopes or polymorphism.
+ * @param {String} model Model name.
+ * @param {Object} filter The filter object.
+ * @param {Object} options The options object.
+ * @returns {Object[]} An array of `{name, relation}`.
+ * @private
+ */
+SQLConnector.prototype._getJoinIncludes = function(model, filter, options) {
+  const enabled = options && options.joinInclude !== undefined ?
+    options.joinInclude : this.settings.joinInclude;
+  if (!enabled || !filter || !filter.include) {
+    return [];
+  }
+  const self = this;
+  const orderKeys = this._normalizeOrder(filter.order);
+  const sortByRelevance = orderKeys.some(function(key) {
+    return key.property === RELEVANCE_COLUMN;
+  });
+  const sortByJsonPath = orderKeys.some(function(key) {
+    return !!self._getJsonPathColumn(model, key.property);
+  });
+  if (sortByRelevance || sortByJsonPath || hasRawOrder(filter.order)) {
+    // The relevance, JSON paths and raw expressions cannot be referenced
+    // outside of the joined subquery
+    return [];
+  }
+  const relations = this.getModelDefinition(model).model.relations || {};
+  const includes = Array.isArray(filter.include) ? filter.include :
+    [filter.include];
+  const joins = [];
+  for (const name of includes) {
+    if (typeof name !== 'string') continue;
+    const relation = relations[name];
+    if (!relation || relation.polymorphic || relation.scope ||
+      (relation.type !== 'belongsTo' && relation.type !== 'hasOne') ||
+      !relation.modelTo ||
+      !this.getModelDefinition(relation.modelTo.modelName)) {
+      continue;
+    }
+    joins.push({name: name, relation: relation});
+  }
+  return joins;
+};
+
+/*!
+ * Make sure the fields filter includes the properties used to join and to
+ * order the joined rows outside of the derived table
+ * @param {Object} filter The filter object
+ * @param {Object[]} joins The joined relations
+ * @param {Object[]} orderKeys The `{property, direction}` order keys
+ * @returns {Object} The filter object to build column names
+ */
+function addJoinKeysToFields(filter, joins, orderKeys) {
+  const fields = filter.fields;
+  if (!joins.length || !fields || typeof fields !== 'object') {
+    return filter;
+  }
+  const keys = [];
+  joins.map(function(join) {
+    return join.relation.keyFrom;
+  }).concat(orderKeys.map(function(key) {
+    return key.property;
+  })).forEach(function(key) {
+    if (keys.indexOf(key) === -1) {
+      keys.push(key);
+    }
+  });
+  let joinFields;
+  if (Array.isArray(fields)) {
+    joinFields = fields.concat(keys.filter(function(key) {
+      return fields.indexOf(key) === -1;
+    }));
+  } else {
+    joinFields = Object.assign({}, fields);
+    const included = Object.keys(fields).some(function(key) {
+      return fields[key];
+    });
+    keys.forEach(function(key) {
+      if (included) {
+        joinFields[key] = true;
+      } else {
+        delete joinFields[key];
+      }
+    });
   }
-  const names = keys.map(function(c) {
-    return self.columnEscaped(model, c);
+  return Object.assign({}, filter, {fields: joinFields});
+}
+
+/**
+ * Build the condition for keyset pagination which matches the rows after the
+ * given values of the order columns, for example,
+ * `((a>?) OR (a=? AND b<?))` for the order `['a ASC', 'b DESC']`
+ * @param {String} model Model name
+ * @param {Object[]} keys An array of `{property, direction}` order keys
+ * @param {Array} values Values of the order keys from the cursor
+ * @returns {ParameterizedSQL} The SQL condition
+ */
+SQLConnector.prototype.buildCursorCondition = function(model, keys, values) {
+  const props = this.getModelDefinition(model).properties;
+  keys.forEach(function(key, i) {
+    if (values[i] === null || values[i] === undefined) {
+      throw badRequest(g.f('The cursor has no value for the order property ' +
+        '%s, which must not be nullable for keyset pagination', key.property));
+    }
   });
-  return names.join(',');
+  const branches = [];
+  for (let i = 0, n = keys.length; i < n; i++) {
+    const conditions = [];
+    for (let j = 0; j <= i; j++) {
+      const p = props[keys[j].property];
+      if (p == null) {
+        throw badRequest(g.f('Unknown order property %s for cursor',
+          keys[j].property));
+      }
+      const columnName = this.columnEscaped(model, keys[j].property);
+      const columnValue = this.toColumnValue(p, values[j]);
+      if (j < i) {
+        conditions.push(ParameterizedSQL.append(columnName,
+          columnValue instanceof ParameterizedSQL ? columnValue :
+            new ParameterizedSQL(PLACEHOLDER, [columnValue]), '='));
+      } else {
+        const operator = keys[j].direction === 'DESC' ? 'lt' : 'gt';
+        conditions.push(
+          this.buildExpression(columnName, operator, columnValue, p),
+        );
+      }
+    }
+    const branch = ParameterizedSQL.join(conditions, ' AND ');
+    branch.sql = '(' + branch.sql + ')';
+    branches.push(branch);
+  }
+  const stmt = ParameterizedSQL.join(branches, ' OR ');
+  stmt.sql = '(' + stmt.sql + ')';
+  return stmt;
 };
 
 /**
- * Build a SQL SELECT statement
+ * Build an opaque cursor from the values of the order columns of the given
+ * model data. The cursor can be passed as `filter.after` or `filter.before`
+ * to fetch the rows after or before it with the same filter. The order
+ * columns must be included in the data. The order properties should not be
+ * nullable, as the rows after a `null` value cannot be compared in a portable
+ * way, cursors with `null` values are rejected by `buildCursorCondition`.
  * @param {String} model Model name
  * @param {Object} filter Filter object
- * @param {Object} options Options object
- * @returns {ParameterizedSQL} Statement object {sql: ..., params: ...}
+ * @param {Object} data Model data object
+ * @returns {String} The cursor
  */
-SQLConnector.prototype.buildSelect = function(model, filter, options) {
-  if (!filter.order) {
-    const idNames = this.idNames(model);
-    if (idNames && idNames.length) {
-      filter.order = idNames;
+SQLConnector.prototype.buildCursor = function(model, filter, data) {
+  const keys = this._getCursorOrder(model, filter && filter.order);
+  const values = keys.map(function(key) {
+    const value = data[key.property];
+    return value === undefined ? null : value;
+  });
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+/*
+ * Get the order keys for keyset pagination, with id properties appended as
+ * tie breakers so that the order is deterministic
+ * @param {String} model Model name.
+ * @param {String|String[]} order The order filter.
+ * @returns {Object[]} An array of `{property, direction}` order keys.
+ * @private
+ */
+SQLConnector.prototype._getCursorOrder = function(model, order) {
+  const keys = this._normalizeOrder(order);
+  const idNames = this.idNames(model) || [];
+  idNames.forEach(function(idName) {
+    const found = keys.some(function(key) {
+      return key.property === idName;
+    });
+    if (!found) {
+      keys.push({property: idName, direction: 'ASC'});
     }
-  }
+  });
+  return keys;
+};
 
-  let selectStmt = new ParameterizedSQL('SELECT ' +
-    this.buildColumnNames(model, filter) +
-    ' FROM ' + this.tableEscaped(model));
+/*
+ * Normalize the order filter into an array of `{property, direction, nulls}`
+ * with the direction defaulting to `ASC`
+ * @param {String|Array} order The order filter.
+ * @returns {Object[]} An array of order keys.
+ * @private
+ */
+SQLConnector.prototype._normalizeOrder = function(order) {
+  return parseOrder(order).filter(function(key) {
+    // Raw expressions are not ordered by properties
+    return !isRawSQL(key);
+  }).map(function(key) {
+    return Object.assign({}, key, {direction: key.direction || 'ASC'});
+  });
+};
 
-  if (filter) {
-    if (filter.where) {
-      const whereStmt = this.buildWhere(model, filter.where);
-      selectStmt.merge(whereStmt);
-    }
+function hasRawOrder(order) {
+  return Array.isArray(order) && order.some(isRawSQL);
+}
 
-    if (filter.order) {
-      selectStmt.merge(this.buildOrderBy(model, filter.order));
-    }
+function orderKeyToString(key) {
+  return key.property + ' ' + key.direction +
+    (key.nulls ? ' NULLS ' + key.nulls : '');
+}
 
-    if (filter.limit || filter.skip || filter.offset) {
-      selectStmt = this.applyPagination(
-        model, selectStmt, filter,
-      );
-    }
+function reverseOrderKey(key) {
+  const reversed = {
+    property: key.property,
+    direction: key.direction === 'DESC' ? 'ASC' : 'DESC',
+  };
+  if (key.nulls) {
+    reversed.nulls = key.nulls === 'FIRST' ? 'LAST' : 'FIRST';
   }
-  return this.parameterize(selectStmt);
-};
+  return reversed;
+}
+
+/*!
+ * Decode the values of order columns from the cursor
+ * @param {String} cursor The cursor from `buildCursor`
+ * @param {Number} length The number of order columns
+ * @returns {Array}
+ */
+function decodeCursor(cursor, length) {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch (err) {
+    debug('Cannot decode cursor %s: %s', cursor, err);
+  }
+  if (!Array.isArray(values) || values.length !== length) {
+    throw badRequest(g.f('Invalid cursor: %s', cursor));
+  }
+  return values;
+}
 
 /**
  * Transform the row data into a model data object
  * @param {string} model Model name
  * @param {object} rowData An object representing the row data from DB
+ * @param {object[]} [joins] Relations joined by `buildJoinSelect`, their
+ * columns are split into nested objects keyed by the relation name
  * @returns {object} Model data object
  */
 SQLConnector.prototype.fromRow = SQLConnector.prototype.fromDatabase =
-function(model, rowData) {
+function(model, rowData, joins) {
   if (rowData == null) {
     return rowData;
   }
@@ -1493,6 +3870,22 @@ function(model, rowData) {
       data[p] = columnValue;
     }
   }
+  if (joins) {
+    for (const join of joins) {
+      const prefix = join.name + JOIN_COLUMN_SEPARATOR;
+      const relatedRow = {};
+      let found = false;
+      for (const key in rowData) {
+        if (key.indexOf(prefix) === 0) {
+          relatedRow[key.substring(prefix.length)] = rowData[key];
+          found = found || rowData[key] != null;
+        }
+      }
+      // No related row is matched by the LEFT JOIN
+      data[join.name] = found ?
+        this.fromRow(join.relation.modelTo.modelName, relatedRow) : null;
+    }
+  }
   return data;
 };
 
@@ -1505,6 +3898,20 @@ function(model, rowData) {
  * `Connector.prototype.find` implements `Model.findById` due to the `bad`
  * naming convention we inherited from juggling-db.
  *
+ * Keyset pagination is supported with `filter.after` or `filter.before` set
+ * to a cursor. When the filter has `limit`, `after` or `before`, the callback
+ * receives the cursors of the current page as the third argument,
+ * `{previous: cursor, next: cursor}`, built from the first and the last
+ * instances. `Model.find` of juggler does not pass the third argument, build
+ * the cursors from the results with `buildCursor` instead, for example,
+ *
+ * ```js
+ * const page = await Customer.find(filter);
+ * const next = Customer.getConnector().buildCursor('Customer', filter,
+ *   page[page.length - 1]);
+ * const nextPage = await Customer.find(Object.assign({}, filter, {after: next}));
+ * ```
+ *
  * @param {String} model The model name
  * @param {Object} filter The filter
  * @param {Function} [cb] The cb function
@@ -1513,21 +3920,60 @@ SQLConnector.prototype.all = function find(model, filter, options, cb) {
   const self = this;
   // Order by id if no order is specified
   filter = filter || {};
-  const stmt = this.buildSelect(model, filter, options);
+  let stmt;
+  try {
+    stmt = this.buildSelect(model, filter, options);
+  } catch (err) {
+    return process.nextTick(function() {
+      cb(err, []);
+    });
+  }
+  const joins = this._getJoinIncludes(model, filter, options);
   this.execute(stmt.sql, stmt.params, options, function(err, data) {
     if (err) {
       return cb(err, []);
     }
 
+    const computed = getComputedFields(filter);
     const objs = data.map(function(obj) {
-      return self.fromRow(model, obj);
+      const row = self.fromRow(model, obj, joins.length ? joins : undefined);
+      computed.forEach(function(alias) {
+        row[alias] = obj[alias];
+      });
+      return row;
     });
-    if (filter && filter.include) {
+    if (filter.before) {
+      // Rows are fetched in the reversed order for `before`
+      objs.reverse();
+    }
+    // Cursors of the current page for keyset pagination
+    let page;
+    if (objs.length && (filter.limit || filter.after || filter.before)) {
+      page = {
+        previous: self.buildCursor(model, filter, objs[0]),
+        next: self.buildCursor(model, filter, objs[objs.length - 1]),
+      };
+    }
+    // Relations fetched by joins are already populated
+    let include = filter.include;
+    if (joins.length) {
+      include = (Array.isArray(include) ? include : [include]).filter(
+        function(inc) {
+          return !joins.some(function(join) {
+            return join.name === inc;
+          });
+        },
+      );
+      if (!include.length) include = null;
+    }
+    if (include) {
       self.getModelDefinition(model).model.include(
-        objs, filter.include, options, cb,
+        objs, include, options, function(err, objs) {
+          cb(err, objs, page);
+        },
       );
     } else {
-      cb(null, objs);
+      cb(null, objs, page);
     }
   });
 };
@@ -1535,6 +3981,147 @@ SQLConnector.prototype.all = function find(model, filter, options, cb) {
 // Alias to `all`. Juggler checks `all` only.
 Connector.defineAliases(SQLConnector.prototype, 'all', ['findAll']);
 
+/**
+ * Find matching model instances by the filter and return them as a readable
+ * stream in object mode instead of buffering the whole result set. Rows are
+ * pulled through `executeSQLStream` if the connector implements it and
+ * converted by `fromRow` one at a time, honoring backpressure. The `execute`
+ * observers are notified like for `execute`. Errors, including invalid
+ * filters, are emitted by the stream. The stream is also an async iterable,
+ * for example,
+ *
+ * ```js
+ * for await (const customer of connector.allStream('Customer', filter)) {
+ *   // ...
+ * }
+ * ```
+ *
+ * `filter.include` is not supported.
+ *
+ * @param {String} model The model name
+ * @param {Object} filter The filter
+ * @param {Object} options The options object
+ * @returns {stream.Readable} A readable stream of model data objects
+ */
+SQLConnector.prototype.allStream = function(model, filter, options) {
+  const self = this;
+  filter = filter || {};
+  options = options || {};
+  const objs = new stream.Transform({
+    objectMode: true,
+    transform: function(row, encoding, done) {
+      let obj;
+      try {
+        obj = self.fromRow(model, row);
+      } catch (err) {
+        return done(err);
+      }
+      done(null, obj);
+    },
+  });
+  let stmt;
+  try {
+    if (filter.include) {
+      throw new Error(g.f('{{include}} is not supported by {{allStream()}}'));
+    }
+    stmt = this.buildSelect(model, filter, options);
+  } catch (err) {
+    process.nextTick(function() {
+      objs.destroy(err);
+    });
+    return objs;
+  }
+  const rows = typeof this.executeSQLStream === 'function' ?
+    executedRowStream(this, stmt, options) :
+    bufferedRowStream(this, stmt, options);
+  stream.pipeline(rows, objs, function(err) {
+    if (err) {
+      debug('Error: %j %j %j', err, stmt.sql, stmt.params);
+    }
+  });
+  return objs;
+};
+
+/*!
+ * Create a readable stream of rows from `executeSQLStream`. Like `execute`,
+ * the statement waits for the data source to connect and is wrapped by the
+ * `execute` observers, which are notified after the last row.
+ * @param {SQLConnector} connector The connector instance
+ * @param {ParameterizedSQL} stmt The SQL statement
+ * @param {Object} options Options object
+ * @returns {stream.Readable}
+ */
+function executedRowStream(connector, stmt, options) {
+  const rows = new stream.PassThrough({objectMode: true});
+  const context = {
+    req: {
+      sql: stmt.sql,
+      params: stmt.params,
+    },
+    options: options,
+  };
+  const run = function() {
+    connector.notifyObserversAround('execute', context, function(context, done) {
+      let source;
+      try {
+        source = connector.executeSQLStream(context.req.sql, context.req.params,
+          context.options);
+      } catch (err) {
+        return done(err);
+      }
+      stream.pipeline(source, rows, function(err) {
+        done(err);
+      });
+    }, function(err) {
+      if (err) {
+        rows.destroy(err);
+      }
+    });
+  };
+  const dataSource = connector.dataSource;
+  if (dataSource.connected) {
+    run();
+  } else if (dataSource.listenerCount('connected') <
+    dataSource.getMaxOfflineRequests()) {
+    dataSource.once('connected', run);
+  } else {
+    process.nextTick(function() {
+      rows.destroy(new Error(g.f('Event listener limit reached. ' +
+        'Increase maxOfflineRequests value in datasources.json.')));
+    });
+  }
+  return rows;
+}
+
+/*!
+ * Create a readable stream of rows from `execute` for connectors that do not
+ * implement `executeSQLStream`. The rows are still buffered by the driver.
+ * @param {SQLConnector} connector The connector instance
+ * @param {ParameterizedSQL} stmt The SQL statement
+ * @param {Object} options Options object
+ * @returns {stream.Readable}
+ */
+function bufferedRowStream(connector, stmt, options) {
+  let rows;
+  let index = 0;
+  return new stream.Readable({
+    objectMode: true,
+    read: function() {
+      const self = this;
+      if (rows) {
+        return this.push(index < rows.length ? rows[index++] : null);
+      }
+      connector.execute(stmt.sql, stmt.params, options, function(err, data) {
+        if (err) {
+          return self.destroy(err);
+        }
+        rows = data || [];
+        self.push(index < rows.length ? rows[index++] : null);
+      });
+    },
+  });
+}
+
 /**
  * ATM, this method is not used by loopback-datasource-juggler dao, which
  * maps `findById` to `find` with a `where` filter that includes the `id`
@@ -1575,12 +4162,54 @@ SQLConnector.prototype.find = function(model, id, options, cb) {
 // Alias to `find`. Juggler checks `findById` only.
 Connector.defineAliases(SQLConnector.prototype, 'find', ['findById']);
 
+/**
+ * Build the SQL statement to count model instances by the where filter.
+ * Distinct values are counted with `options.distinct` set to a property name,
+ * `COUNT(DISTINCT col)`, or an array of property names. `true` counts the
+ * distinct rows. Soft deleted rows are excluded unless `options.withDeleted`
+ * is set.
+ *
+ * @param {String} model The model name
+ * @param {Object} where The where object
+ * @param {Object} [options] The options object
+ * @returns {ParameterizedSQL} The SQL statement
+ */
+SQLConnector.prototype.buildCount = function(model, where, options) {
+  const self = this;
+  where = this._excludeDeleted(model, where, options);
+  const distinct = options && options.distinct;
+  const properties = distinct && distinct !== true ?
+    this._getDistinctProperties(model, distinct) : [];
+  let stmt;
+  if (properties.length === 1) {
+    stmt = new ParameterizedSQL('SELECT ' +
+      this.buildAggregateFunction(model, 'countDistinct', properties[0]) +
+      ' as "cnt" FROM ' + this.tableEscaped(model));
+    stmt.merge(this.buildWhere(model, where));
+  } else if (properties.length > 1 || distinct === true) {
+    // Count the rows of a subquery for distinct combinations of columns
+    const columns = properties.length ? properties.map(function(p) {
+      return self.columnEscaped(model, p);
+    }).join(',') : this.buildColumnNames(model, {});
+    stmt = new ParameterizedSQL('SELECT count(*) as "cnt" FROM (SELECT ' +
+      'DISTINCT ' + columns + ' FROM ' + this.tableEscaped(model));
+    stmt.merge(this.buildWhere(model, where));
+    stmt.merge(') ' + this.escapeName('distinct_rows'), '');
+  } else {
+    stmt = new ParameterizedSQL('SELECT count(*) as "cnt" FROM ' +
+      this.tableEscaped(model));
+    stmt.merge(this.buildWhere(model, where));
+  }
+  return this.parameterize(stmt);
+};
+
 /**
  * Count all model instances by the where filter
  *
  * @param {String} model The model name
  * @param {Object} where The where object
- * @param {Object} options The options object
+ * @param {Object} options The options object, see `buildCount` for
+ * `options.distinct`
  * @param {Function} cb The callback function
  */
 SQLConnector.prototype.count = function(model, where, options, cb) {
@@ -1592,10 +4221,14 @@ SQLConnector.prototype.count = function(model, where, options, cb) {
     where = tmp;
   }
 
-  let stmt = new ParameterizedSQL('SELECT count(*) as "cnt" FROM ' +
-    this.tableEscaped(model));
-  stmt = stmt.merge(this.buildWhere(model, where));
-  stmt = this.parameterize(stmt);
+  let stmt;
+  try {
+    stmt = this.buildCount(model, where, options);
+  } catch (err) {
+    return process.nextTick(function() {
+      cb(err);
+    });
+  }
   this.execute(stmt.sql, stmt.params, options,
     function(err, res) {
       if (err) {
@@ -1608,6 +4241,213 @@ SQLConnector.prototype.count = function(model, where, options, cb) {
     });
 };
 
+const AGGREGATE_FUNCTIONS = {
+  count: 'COUNT',
+  countDistinct: 'COUNT',
+  sum: 'SUM',
+  avg: 'AVG',
+  min: 'MIN',
+  max: 'MAX',
+};
+
+/**
+ * Build the SQL expression for an aggregate function
+ * @param {String} model The model name
+ * @param {String} fn The aggregate function, one of `count`, `countDistinct`,
+ * `sum`, `avg`, `min` and `max`
+ * @param {String} property The property name, or `*` for `count`
+ * @returns {String} The SQL expression, such as `SUM(AMOUNT)`
+ */
+SQLConnector.prototype.buildAggregateFunction = function(model, fn, property) {
+  if (fn === 'count' && property === '*') {
+    return 'COUNT(*)';
+  }
+  const column = this.columnEscaped(model, property);
+  if (fn === 'countDistinct') {
+    return 'COUNT(DISTINCT ' + column + ')';
+  }
+  return AGGREGATE_FUNCTIONS[fn] + '(' + column + ')';
+};
+
+/**
+ * Build a SQL SELECT statement with aggregates, for example,
+ *
+ * ```js
+ * {
+ *   where: {status: 'shipped'},
+ *   groupBy: ['customerId'],
+ *   aggregate: {
+ *     total: {sum: 'amount'},
+ *     orders: {count: '*'},
+ *     products: {countDistinct: 'productId'},
+ *   },
+ *   having: {total: {gt: 100}},
+ *   order: 'total DESC',
+ *   limit: 10,
+ * }
+ * ```
+ *
+ * The `having` object is built like the where object, it accepts aggregate
+ * names and the properties listed in `groupBy`. Soft deleted rows are
+ * excluded unless `options.withDeleted` is set.
+ *
+ * @param {String} model Model name
+ * @param {Object} spec The aggregate spec
+ * @param {Object} options Options object
+ * @returns {ParameterizedSQL} Statement object {sql: ..., params: ...}
+ */
+SQLConnector.prototype.buildAggregate = function(model, spec, options) {
+  const self = this;
+  const props = this.getModelDefinition(model).properties;
+  const aggregates = this._getAggregates(model, spec);
+
+  let groupBy = spec.groupBy || [];
+  if (typeof groupBy === 'string') {
+    groupBy = [groupBy];
+  }
+  const groupColumns = groupBy.map(function(key) {
+    if (props[key] == null) {
+      throw badRequest(g.f('Unknown {{groupBy}} property %s', key));
+    }
+    return self.columnEscaped(model, key);
+  });
+  const columns = groupColumns.concat(Object.keys(aggregates).map(function(name) {
+    return aggregates[name].sql + ' AS ' + self.escapeName(name);
+  }));
+
+  let stmt = new ParameterizedSQL('SELECT ' + columns.join(',') +
+    ' FROM ' + this.tableEscaped(model));
+  const where = this._excludeDeleted(model, spec.where, options);
+  if (where) {
+    stmt.merge(this.buildWhere(model, where));
+  }
+  if (groupColumns.length) {
+    stmt.merge('GROUP BY ' + groupColumns.join(','));
+  }
+  if (spec.having) {
+    const havingStmt = this._buildWhere(model, spec.having, aggregates);
+    if (havingStmt.sql) {
+      havingStmt.sql = 'HAVING ' + havingStmt.sql;
+      stmt.merge(havingStmt);
+    }
+  }
+  if (spec.order) {
+    const clauses = this._normalizeOrder(spec.order).map(function(key) {
+      const column = aggregates[key.property] ?
+        self.escapeName(key.property) : self.columnEscaped(model, key.property);
+      return self.buildOrderByColumn(column, key.direction, key.nulls);
+    });
+    stmt.merge('ORDER BY ' + clauses.join(','));
+  }
+  if (spec.limit || spec.skip || spec.offset) {
+    stmt = this.applyPagination(model, stmt, spec);
+  }
+  return this.parameterize(stmt);
+};
+
+/*
+ * Get the aggregates from the spec, keyed by name
+ * @param {String} model The model name.
+ * @param {Object} spec The aggregate spec.
+ * @returns {Object} Aggregates as `{name: {fn, sql, property}}`.
+ * @private
+ */
+SQLConnector.prototype._getAggregates = function(model, spec) {
+  const props = this.getModelDefinition(model).properties;
+  const aggregates = {};
+  const names = Object.keys(spec.aggregate || {});
+  if (!names.length) {
+    throw badRequest(g.f('{{aggregate}} must not be empty'));
+  }
+  for (const name of names) {
+    const definition = spec.aggregate[name] || {};
+    const fn = Object.keys(definition)[0];
+    const property = definition[fn];
+    if (!Object.prototype.hasOwnProperty.call(AGGREGATE_FUNCTIONS, fn)) {
+      throw badRequest(g.f('Unknown aggregate function %s', fn));
+    }
+    if (!(fn === 'count' && property === '*') && props[property] == null) {
+      throw badRequest(g.f('Unknown aggregate property %s', property));
+    }
+    aggregates[name] = {
+      fn: fn,
+      sql: this.buildAggregateFunction(model, fn, property),
+      // min and max keep the type of the property, others are numbers
+      property: fn === 'min' || fn === 'max' ? props[property] : {type: Number},
+    };
+  }
+  return aggregates;
+};
+
+/**
+ * Run an aggregate query, see `buildAggregate` for the spec. The callback
+ * receives an array of objects with the `groupBy` properties and the
+ * aggregate values.
+ *
+ * @param {String} model The model name
+ * @param {Object} spec The aggregate spec
+ * @param {Object} options The options object
+ * @param {Function} cb The callback function
+ */
+SQLConnector.prototype.aggregate = function(model, spec, options, cb) {
+  const self = this;
+  spec = spec || {};
+  let stmt, aggregates;
+  try {
+    aggregates = this._getAggregates(model, spec);
+    stmt = this.buildAggregate(model, spec, options);
+  } catch (err) {
+    return process.nextTick(function() {
+      cb(err);
+    });
+  }
+  let groupBy = spec.groupBy || [];
+  if (typeof groupBy === 'string') {
+    groupBy = [groupBy];
+  }
+  const props = this.getModelDefinition(model).properties;
+  this.execute(stmt.sql, stmt.params, options, function(err, rows) {
+    if (err) return cb(err);
+    const results = rows.map(function(row) {
+      const result = {};
+      groupBy.forEach(function(key) {
+        result[key] = self.fromColumnValue(props[key],
+          row[self.column(model, key)]);
+      });
+      Object.keys(aggregates).forEach(function(name) {
+        const value = row[name];
+        const aggregate = aggregates[name];
+        if (value == null) {
+          result[name] = aggregate.fn === 'count' ||
+            aggregate.fn === 'countDistinct' ? 0 : null;
+        } else if (aggregate.fn === 'min' || aggregate.fn === 'max') {
+          result[name] = self.fromColumnValue(aggregate.property, value);
+        } else {
+          // Some drivers return numbers as strings to contain bigint/decimal
+          result[name] = Number(value);
+        }
+      });
+      return result;
+    });
+    cb(null, results);
+  });
+};
+
+/*!
+ * Create an error for an invalid request
+ * @param {String} msg The error message
+ * @param {String} [code] The error code
+ * @returns {Error} The error with status code 400
+ */
+function badRequest(msg, code) {
+  const error = new Error(msg);
+  error.statusCode = error.status = 400;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+}
+
 /**
  * Drop the table for the given model from the database
  * @param {String} model The model name
@@ -1798,6 +4638,32 @@ SQLConnector.prototype.getCountForAffectedRows = function(model, info) {
     'the connector'));
 };
 
+/**
+ * Parse the result for SQL UPDATE/DELETE with a RETURNING clause for the
+ * returned rows. The default implementation expects an array of rows, like
+ * the result of SELECT.
+ * @param {String} model Model name
+ * @param {Object} info The result from driver
+ * @returns {Object[]} The returned rows
+ */
+SQLConnector.prototype.getReturnedRows = function(model, info) {
+  return Array.isArray(info) ? info : [];
+};
+
+/**
+ * Parse the result for SQL UPSERT to find out if a new row was inserted. The
+ * default implementation cannot tell an insert from an update and returns
+ * an empty object. Connectors should override it when the driver reports
+ * the difference, for example, MySQL reports 1 affected row for an insert
+ * and 2 for an update.
+ * @param {String} model Model name
+ * @param {Object} info The status object from driver
+ * @returns {Object} An object like `{isNewInstance: true}`
+ */
+SQLConnector.prototype.getUpsertInfo = function(model, info) {
+  return {};
+};
+
 /**
  * Parse the result for SQL INSERT for newly inserted id
  * @param {String} model Model name
@@ -1857,6 +4723,18 @@ SQLConnector.prototype.executeSQL = function(sql, params, options, callback) {
   throw new Error(g.f('{{executeSQL()}} must be implemented by the connector'));
 };
 
+/**
+ * Execute a SQL statement with given parameters and return the rows as a
+ * readable stream in object mode. This method is optional, connectors whose
+ * drivers can stream query results should implement it to make `allStream`
+ * fetch rows incrementally.
+ * @param {String} sql The SQL statement
+ * @param {Array} params An array of parameter values
+ * @param {Object} options Options object
+ * @returns {stream.Readable} A readable stream of rows
+ */
+SQLConnector.prototype.executeSQLStream = null;
+
 // Refactored Discovery methods
 
 /**
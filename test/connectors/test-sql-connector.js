@@ -167,7 +167,8 @@ function realisticSQLToColumnValue(prop, val) {
 }
 
 TestConnector.prototype.toColumnValue = function(prop, val, escaping) {
-  return escaping ? this.escapeValue(val) : realisticSQLToColumnValue(prop, val);
+  return escaping ? this.escapeValue(val) :
+    realisticSQLToColumnValue.call(this, prop, val);
 };
 
 TestConnector.prototype._buildLimit = function(model, limit, offset) {
@@ -4,7 +4,10 @@
 // License text available at https://opensource.org/licenses/MIT
 
 'use strict';
-const expect = require('chai').expect;
+const chai = require('chai');
+chai.use(require('chai-as-promised'));
+const {expect} = chai;
+const {Readable} = require('stream');
 const SQLConnector = require('../lib/sql');
 const ParameterizedSQL = SQLConnector.ParameterizedSQL;
 const testConnector = require('./connectors/test-sql-connector');
@@ -18,6 +21,7 @@ const ds = new juggler.DataSource({
 let connector;
 let Customer;
 let Order;
+let Store;
 /* eslint-enable one-var */
 
 describe('sql connector', function() {
@@ -79,12 +83,23 @@ describe('sql connector', function() {
         }, des: {
           type: String,
           name: 'des',
+          fullText: true,
           testdb: {
             column: 'description',
           },
         },
       },
       {testdb: {table: 'ORDER'}});
+    Store = ds.createModel('store',
+      {
+        id: {id: true, type: Number},
+        settings: Object,
+        address: {city: String, zip: Number},
+        tags: [String],
+      });
+    Order.belongsTo(Customer, {as: 'customer', foreignKey: 'customerName'});
+    Customer.hasOne(Order, {as: 'lastOrder', foreignKey: 'customerName'});
+    Customer.hasMany(Order, {as: 'orders', foreignKey: 'customerName'});
   });
 
   // tests for column names mapping are moved to name-mapping.test.js
@@ -300,6 +315,584 @@ describe('sql connector', function() {
     });
   });
 
+  it('builds where with a property of a belongsTo relation', function() {
+    const where = connector.buildWhere('order', {
+      des: 'Widget',
+      'customer.vip': true,
+    });
+    expect(where.toJSON()).to.eql({
+      sql: 'WHERE `description`=? AND EXISTS (SELECT 1 FROM `CUSTOMER` ' +
+        '`customer` WHERE `customer`.`NAME`=`ORDER`.`CUSTOMERNAME` AND `VIP`=?)',
+      params: ['Widget', true],
+    });
+  });
+
+  it('builds where with a property of a hasMany relation', function() {
+    const where = connector.buildWhere('customer', {
+      or: [{'orders.des': {inq: ['A', 'B']}}, {vip: true}],
+    });
+    expect(where.toJSON()).to.eql({
+      sql: 'WHERE ((EXISTS (SELECT 1 FROM `ORDER` `orders` ' +
+        'WHERE `orders`.`CUSTOMERNAME`=`CUSTOMER`.`NAME` ' +
+        'AND `description` IN (?,?))) OR (`VIP`=?))',
+      params: ['A', 'B', true],
+    });
+  });
+
+  it('builds where with a nested relation path', function() {
+    const where = connector.buildWhere('order', {
+      'customer.lastOrder.des': 'Widget',
+    });
+    expect(where.toJSON()).to.eql({
+      sql: 'WHERE EXISTS (SELECT 1 FROM `CUSTOMER` `customer` ' +
+        'WHERE `customer`.`NAME`=`ORDER`.`CUSTOMERNAME` AND ' +
+        'EXISTS (SELECT 1 FROM `ORDER` `customer__lastOrder` ' +
+        'WHERE `customer__lastOrder`.`CUSTOMERNAME`=`customer`.`NAME` ' +
+        'AND `description`=?))',
+      params: ['Widget'],
+    });
+  });
+
+  it('builds where and ignores unknown relation paths', function() {
+    const where = connector.buildWhere('order', {
+      'supplier.name': 'Acme',
+      'customer.unknown': 'x',
+    });
+    expect(where.toJSON()).to.eql({sql: '', params: []});
+  });
+
+  it('builds where with a nested property of an embedded model', function() {
+    const where = connector.buildWhere('store', {
+      'address.city': 'Paris',
+      'address.zip': {gt: 75000},
+    });
+    expect(where.toJSON()).to.eql({
+      sql: 'WHERE JSON_VALUE(`ADDRESS`,\'$.city\')=? ' +
+        'AND JSON_VALUE(`ADDRESS`,\'$.zip\')>?',
+      params: ['Paris', 75000],
+    });
+  });
+
+  it('builds where with a path into an object property', function() {
+    const where = connector.buildWhere('store', {
+      'settings.theme.color': {inq: ['red', 'blue']},
+      'tags.0': 'new',
+    });
+    expect(where.toJSON()).to.eql({
+      sql: 'WHERE JSON_VALUE(`SETTINGS`,\'$.theme.color\') IN (?,?) ' +
+        'AND JSON_VALUE(`TAGS`,\'$[0]\')=?',
+      params: ['red', 'blue', 'new'],
+    });
+  });
+
+  it('builds where and ignores invalid JSON paths', function() {
+    const where = connector.buildWhere('store', {
+      'settings.x\') OR 1=1 --': 'x',
+      'id.value': 1,
+    });
+    expect(where.toJSON()).to.eql({sql: '', params: []});
+  });
+
+  it('builds order by with a nested property', function() {
+    const orderBy = connector.buildOrderBy('store', ['address.city DESC', 'id']);
+    expect(orderBy).to.eql(
+      'ORDER BY JSON_VALUE(`ADDRESS`,\'$.city\') DESC,`ID`',
+    );
+  });
+
+  it('builds where with array operators', function() {
+    const where = connector.buildWhere('store', {
+      and: [
+        {tags: {contains: ['new', 'sale']}},
+        {tags: {containedBy: ['new', 'sale', 'clearance']}},
+        {tags: {overlaps: 'sale'}},
+        {tags: {size: '2'}},
+      ],
+    });
+    expect(where.toJSON()).to.eql({
+      sql: 'WHERE ((`TAGS` @> ?) AND (`TAGS` <@ ?) AND (`TAGS` && ?) ' +
+        'AND (CARDINALITY(`TAGS`)=?))',
+      params: [
+        '["new","sale"]',
+        '["new","sale","clearance"]',
+        '["sale"]',
+        2,
+      ],
+    });
+  });
+
+  it('builds where and ignores array operators for non-array properties',
+    function() {
+      const where = connector.buildWhere('store', {
+        address: {contains: ['Paris']},
+        id: 1,
+      });
+      expect(where.toJSON()).to.eql({
+        sql: 'WHERE `ID`=?',
+        params: [1],
+      });
+    });
+
+  it('finds instances with array operators and allowExtendedOperators',
+    async function() {
+      const statements = await findStatements(Store,
+        {where: {tags: {contains: ['new']}}, fields: ['id']},
+        {allowExtendedOperators: true});
+      expect(statements).to.eql([{
+        sql: 'SELECT `ID` FROM `STORE` WHERE `TAGS` @> $1 ORDER BY `ID`',
+        params: ['["new"]'],
+      }]);
+    });
+
+  it('builds where with ilike and nilike', function() {
+    const where = connector.buildWhere('customer', {
+      name: {ilike: 'jo%'},
+      address: {nilike: '%street%'},
+    });
+    expect(where.toJSON()).to.eql({
+      sql: 'WHERE LOWER(`NAME`) LIKE LOWER(?) ' +
+        'AND LOWER(`ADDRESS`) NOT LIKE LOWER(?)',
+      params: ['jo%', '%street%'],
+    });
+  });
+
+  it('builds where with like and an escape character', function() {
+    const where = connector.buildWhere('customer', {
+      name: {like: SQLConnector.escapeLike('50%_off!', '!') + '%',
+        options: {escape: '!'}},
+    });
+    expect(where.toJSON()).to.eql({
+      sql: 'WHERE `NAME` LIKE ? ESCAPE ?',
+      params: ['50!%!_off!!%', '!'],
+    });
+  });
+
+  it('escapes like wildcards with backslash by default', function() {
+    expect(SQLConnector.escapeLike('a%b_c\\d')).to.eql('a\\%b\\_c\\\\d');
+  });
+
+  it('builds where and ignores an invalid escape character', function() {
+    const where = connector.buildWhere('customer', {
+      name: {ilike: 'jo%', options: {escape: '\' OR 1=1'}},
+    });
+    expect(where.toJSON()).to.eql({
+      sql: 'WHERE LOWER(`NAME`) LIKE LOWER(?)',
+      params: ['jo%'],
+    });
+  });
+
+  it('builds where with match operator', function() {
+    const where = connector.buildWhere('customer', {
+      address: {match: 'main street'},
+      vip: true,
+    });
+    expect(where.toJSON()).to.eql({
+      sql: 'WHERE MATCH(`ADDRESS`) AGAINST(?) AND `VIP`=?',
+      params: ['main street', true],
+    });
+  });
+
+  it('builds where with fulltext operator', function() {
+    const where = connector.buildWhere('customer', {
+      address: {fulltext: 'main'},
+    });
+    expect(where.toJSON()).to.eql({
+      sql: 'WHERE MATCH(`ADDRESS`) AGAINST(?)',
+      params: ['main'],
+    });
+  });
+
+  it('finds instances with match and $text', async function() {
+    let statements = await findStatements(Order,
+      {where: {des: {match: 'pen'}}, fields: ['des']},
+      {allowExtendedOperators: true});
+    expect(statements).to.eql([{
+      sql: 'SELECT `description` FROM `ORDER` ' +
+        'WHERE MATCH(`description`) AGAINST($1) ORDER BY `orderId`',
+      params: ['pen'],
+    }]);
+    statements = await findStatements(Order,
+      {where: {$text: {search: 'pen'}}, fields: ['des']});
+    expect(statements[0].sql).to.eql('SELECT `description` FROM `ORDER` ' +
+      'WHERE MATCH(`description`) AGAINST($1) ORDER BY `orderId`');
+  });
+
+  it('builds where with $text search of fullText properties', function() {
+    const where = connector.buildWhere('order', {$text: {search: 'pencil'}});
+    expect(where.toJSON()).to.eql({
+      sql: 'WHERE MATCH(`description`) AGAINST(?)',
+      params: ['pencil'],
+    });
+  });
+
+  it('builds where with $text search of given fields', function() {
+    const where = connector.buildWhere('customer', {
+      $text: {search: 'john', fields: ['name', 'address']},
+    });
+    expect(where.toJSON()).to.eql({
+      sql: 'WHERE MATCH(`NAME`,`ADDRESS`) AGAINST(?)',
+      params: ['john'],
+    });
+  });
+
+  it('passes $text options to buildFullTextExpression', function() {
+    let args;
+    connector.buildFullTextExpression = function() {
+      args = Array.prototype.slice.call(arguments);
+      return new ParameterizedSQL('TRUE');
+    };
+    try {
+      connector.buildWhere('order', {$text: {search: 'pen', mode: 'boolean'}});
+    } finally {
+      delete connector.buildFullTextExpression;
+    }
+    expect(args).to.eql(['order', ['`description`'], 'pen', {mode: 'boolean'}]);
+  });
+
+  it('rejects $text search without full-text fields', function() {
+    expect(function() {
+      connector.buildWhere('customer', {$text: {search: 'john'}});
+    }).to.throw(/No full-text fields/);
+  });
+
+  it('builds SELECT ordered by $relevance', function() {
+    const sql = connector.buildSelect('order', {
+      where: {$text: {search: 'pencil'}},
+      order: ['$relevance DESC', 'id'],
+    });
+    expect(sql.toJSON()).to.eql({
+      sql: 'SELECT `orderId`,`description`,`CUSTOMERNAME` FROM `ORDER`' +
+        ' WHERE MATCH(`description`) AGAINST($1)' +
+        ' ORDER BY MATCH(`description`) AGAINST($2) DESC,`orderId`',
+      params: ['pencil', 'pencil'],
+    });
+  });
+
+  it('rejects order by $relevance without $text search', function() {
+    expect(function() {
+      connector.buildOrderBy('order', ['$relevance DESC'], {id: 1});
+    }).to.throw(/\$relevance/);
+  });
+
+  context('registerOperator', function() {
+    afterEach(function() {
+      delete SQLConnector.prototype.operators.startsWith;
+      delete SQLConnector.prototype.operators.within;
+      delete SQLConnector.prototype.operators.gt;
+      delete connector.operators;
+    });
+
+    it('builds where with a registered operator', function() {
+      SQLConnector.registerOperator('startsWith', function(columnName, value) {
+        return new ParameterizedSQL(columnName + ' LIKE ?',
+          [SQLConnector.escapeLike(value) + '%']);
+      });
+      const where = connector.buildWhere('customer',
+        {name: {startsWith: 'J_'}});
+      expect(where.toJSON()).to.eql({
+        sql: 'WHERE `NAME` LIKE ?',
+        params: ['J\\_%'],
+      });
+    });
+
+    it('finds instances with a registered operator', async function() {
+      connector.registerOperator('startsWith', function(columnName, value) {
+        return new ParameterizedSQL(columnName + ' LIKE ?', [value + '%']);
+      });
+      const statements = await findStatements(Customer,
+        {where: {name: {startsWith: 'Jo'}}, fields: ['name']},
+        {allowExtendedOperators: true});
+      expect(statements).to.eql([{
+        sql: 'SELECT `NAME` FROM `CUSTOMER` WHERE `NAME` LIKE $1 ' +
+          'ORDER BY `NAME`',
+        params: ['Jo%'],
+      }]);
+    });
+
+    it('coerces each item of values for list operators', function() {
+      SQLConnector.registerOperator('within', function(columnName, values) {
+        return columnName + ' IN (' + values.join(',') + ')';
+      }, {coerce: 'list'});
+      const where = connector.buildWhere('order', {id: {within: ['1', 2]}});
+      expect(where.toJSON()).to.eql({
+        sql: 'WHERE `orderId` IN (1,2)',
+        params: [],
+      });
+    });
+
+    it('passes raw values and options to the builder', function() {
+      let args;
+      SQLConnector.registerOperator('within', function() {
+        args = Array.prototype.slice.call(arguments);
+        return 'TRUE';
+      }, {coerce: 'raw'});
+      connector.buildWhere('customer',
+        {vip: {within: {a: 1}, options: {b: 2}}});
+      expect(args[0]).to.eql('`VIP`');
+      expect(args[1]).to.eql({a: 1});
+      expect(args[3]).to.eql({b: 2});
+    });
+
+    it('coerces values with a custom function', function() {
+      SQLConnector.registerOperator('within', function(columnName, value) {
+        return new ParameterizedSQL(columnName + '<?', [value]);
+      }, {coerce: function(value) {
+        return value * 2;
+      }});
+      const where = connector.buildWhere('order', {id: {within: 5}});
+      expect(where.toJSON()).to.eql({
+        sql: 'WHERE `orderId`<?',
+        params: [10],
+      });
+    });
+
+    it('overrides built-in operators for one connector only', function() {
+      connector.registerOperator('gt', function(columnName, value) {
+        return new ParameterizedSQL(columnName + ' > ?', [value]);
+      });
+      expect(connector.buildWhere('order', {id: {gt: 1}}).sql)
+        .to.eql('WHERE `orderId` > ?');
+      expect(SQLConnector.prototype.operators.gt).to.equal(undefined);
+    });
+
+    it('rejects invalid operator definitions', function() {
+      expect(function() {
+        SQLConnector.registerOperator('within', 'IN');
+      }).to.throw(/must be a function/);
+      expect(function() {
+        SQLConnector.registerOperator('within', function() {},
+          {coerce: 'number'});
+      }).to.throw(/Invalid coercion/);
+    });
+  });
+
+  it('builds where with not', function() {
+    const where = connector.buildWhere('customer', {
+      not: {name: 'John', vip: true},
+    });
+    expect(where.toJSON()).to.eql({
+      sql: 'WHERE NOT (`NAME`=? AND `VIP`=?)',
+      params: ['John', true],
+    });
+  });
+
+  it('builds where with nor', function() {
+    const where = connector.buildWhere('customer', {
+      nor: [{name: 'John'}, {vip: true}],
+    });
+    expect(where.toJSON()).to.eql({
+      sql: 'WHERE NOT ((`NAME`=?) OR (`VIP`=?))',
+      params: ['John', true],
+    });
+  });
+
+  it('builds where with not nested in and/or', function() {
+    const where = connector.buildWhere('customer', {
+      or: [
+        {not: {or: [{name: 'John'}, {name: 'Mary'}]}},
+        {and: [{vip: true}, {not: {address: {like: '%Main%'}}}]},
+      ],
+      lastName: 'Smith',
+    });
+    expect(where.toJSON()).to.eql({
+      sql: 'WHERE ((NOT (((`NAME`=?) OR (`NAME`=?)))) OR ' +
+        '(((`VIP`=?) AND (NOT (`ADDRESS` LIKE ?))))) AND `LASTNAME`=?',
+      params: ['John', 'Mary', true, '%Main%', 'Smith'],
+    });
+  });
+
+  it('ignores empty not and nor', function() {
+    const where = connector.buildWhere('customer', {
+      not: {}, nor: [], name: 'John',
+    });
+    expect(where.toJSON()).to.eql({
+      sql: 'WHERE `NAME`=?',
+      params: ['John'],
+    });
+  });
+
+  context('strictWhere', function() {
+    beforeEach(function() {
+      connector.settings.strictWhere = true;
+    });
+
+    afterEach(function() {
+      delete connector.settings.strictWhere;
+    });
+
+    function expectInvalidWhere(model, where, pattern) {
+      expect(function() {
+        connector.buildWhere(model, where);
+      }).to.throw(pattern).with.property('code', 'INVALID_WHERE');
+    }
+
+    it('builds where with known properties and operators', function() {
+      const where = connector.buildWhere('customer', {
+        name: {ilike: 'j%'},
+        or: [{vip: true}, {not: {address: null}}],
+      });
+      expect(where.sql).to.eql('WHERE LOWER(`NAME`) LIKE LOWER(?) AND ' +
+        '((`VIP`=?) OR (NOT (`ADDRESS` IS NULL)))');
+    });
+
+    it('rejects unknown properties', function() {
+      expectInvalidWhere('customer', {nmae: 'John'},
+        /Unknown property nmae for model customer/);
+    });
+
+    it('rejects unknown properties in nested conditions', function() {
+      expectInvalidWhere('customer', {or: [{name: 'John'}, {vipp: true}]},
+        /Unknown property vipp/);
+    });
+
+    it('rejects unknown operators', function() {
+      expectInvalidWhere('customer', {name: {startWith: 'J'}},
+        /Unknown operator "startWith" for property name/);
+    });
+
+    it('rejects multiple operators for one property', function() {
+      expectInvalidWhere('order', {id: {gt: 1, lt: 5}},
+        /Only one operator is allowed for property id/);
+    });
+
+    it('rejects non-object where values', function() {
+      expectInvalidWhere('customer', 'name=John',
+        /Invalid value for where: "name=John"/);
+      expectInvalidWhere('customer', {and: {name: 'John'}},
+        /Unknown property and/);
+    });
+
+    it('rejects array operators for non-array properties', function() {
+      expectInvalidWhere('customer', {name: {contains: 'J'}},
+        /Array operator contains for non-array property name/);
+    });
+
+    it('sets the status code to 400', function() {
+      expect(function() {
+        connector.buildWhere('customer', {nmae: 'John'});
+      }).to.throw().with.property('statusCode', 400);
+    });
+
+    it('rejects deletes with invalid where', function(done) {
+      connector.destroyAll('customer', {nmae: 'John'}, {}, function(err) {
+        expect(err).to.have.property('code', 'INVALID_WHERE');
+        expect(err.message).to.match(/Unknown property nmae/);
+        done();
+      });
+    });
+  });
+
+  context('requireWhereForBulkWrites', function() {
+    beforeEach(function() {
+      connector.settings.requireWhereForBulkWrites = true;
+    });
+
+    afterEach(function() {
+      delete connector.settings.requireWhereForBulkWrites;
+    });
+
+    it('rejects DELETE without where', function() {
+      expect(function() {
+        connector.buildDelete('customer', {});
+      }).to.throw(/DELETE of all rows of model customer/)
+        .with.property('code', 'WHERE_REQUIRED');
+    });
+
+    it('rejects UPDATE when every where key is skipped', function() {
+      expect(function() {
+        connector.buildUpdate('customer', {nmae: 'John'}, {vip: false});
+      }).to.throw(/UPDATE of all rows of model customer/)
+        .with.property('statusCode', 400);
+    });
+
+    it('builds DELETE and UPDATE without where with force', function() {
+      expect(connector.buildDelete('customer', {}, {force: true}).sql.trim())
+        .to.eql('DELETE FROM `CUSTOMER`');
+      expect(connector.buildUpdate('customer', undefined, {vip: false},
+        {force: true}).sql.trim()).to.eql('UPDATE `CUSTOMER` SET `VIP`=$1');
+    });
+
+    it('builds DELETE with where', function() {
+      expect(connector.buildDelete('customer', {name: 'John'}).sql)
+        .to.eql('DELETE FROM `CUSTOMER` WHERE `NAME`=$1');
+    });
+
+    it('reports the error to the callback of destroyAll', function(done) {
+      connector.destroyAll('customer', {}, {}, function(err) {
+        expect(err).to.have.property('code', 'WHERE_REQUIRED');
+        done();
+      });
+    });
+
+    it('reports the error to the callback of update', function(done) {
+      connector.update('customer', {}, {vip: true}, {}, function(err) {
+        expect(err).to.have.property('code', 'WHERE_REQUIRED');
+        done();
+      });
+    });
+  });
+
+  it('builds order by with nulls first and last', function() {
+    const orderBy = connector.buildOrderBy('customer',
+      ['name desc nulls last', 'vip NULLS FIRST']);
+    expect(orderBy).to.eql('ORDER BY `NAME` DESC NULLS LAST,`VIP` NULLS FIRST');
+  });
+
+  it('builds order by with objects', function() {
+    const orderBy = connector.buildOrderBy('customer', [
+      {field: 'name', direction: 'desc', nulls: 'last'},
+      {field: 'vip'},
+    ]);
+    expect(orderBy).to.eql('ORDER BY `NAME` DESC NULLS LAST,`VIP`');
+  });
+
+  it('builds order by with comma separated fields', function() {
+    const orderBy = connector.buildOrderBy('customer', 'name ASC, vip DESC');
+    expect(orderBy).to.eql('ORDER BY `NAME` ASC,`VIP` DESC');
+  });
+
+  it('rejects order by with invalid directions', function() {
+    expect(function() {
+      connector.buildOrderBy('customer', ['name; DROP TABLE CUSTOMER']);
+    }).to.throw(/invalid direction/).with.property('statusCode', 400);
+    expect(function() {
+      connector.buildOrderBy('customer', [{field: 'name', direction: 'up'}]);
+    }).to.throw(/invalid direction/);
+  });
+
+  it('rejects order by with invalid nulls orders', function() {
+    expect(function() {
+      connector.buildOrderBy('customer', ['name DESC NULLS MIDDLE']);
+    }).to.throw(/invalid nulls order/);
+    expect(function() {
+      connector.buildOrderBy('customer', ['name DESC NULLS']);
+    }).to.throw(/is not valid/);
+    expect(function() {
+      connector.buildOrderBy('customer', ['name ASC FOO LAST']);
+    }).to.throw(/is not valid/);
+    expect(function() {
+      connector.buildOrderBy('customer', ['name DESC LAST']);
+    }).to.throw(/is not valid/);
+    expect(connector.buildOrderBy('customer', ['name asc nulls last']))
+      .to.eql('ORDER BY `NAME` ASC NULLS LAST');
+    expect(function() {
+      connector.buildOrderBy('customer', [{direction: 'ASC'}]);
+    }).to.throw(/is not valid/);
+  });
+
+  it('builds order by with a custom buildOrderByColumn', function() {
+    connector.buildOrderByColumn = function(columnName, direction, nulls) {
+      return columnName + ' IS NULL ' + (nulls === 'FIRST' ? 'DESC' : 'ASC') +
+        ',' + columnName + ' ' + direction;
+    };
+    try {
+      expect(connector.buildOrderBy('customer', ['name DESC NULLS FIRST']))
+        .to.eql('ORDER BY `NAME` IS NULL DESC,`NAME` DESC');
+    } finally {
+      delete connector.buildOrderByColumn;
+    }
+  });
+
   it('builds order by with one field', function() {
     const orderBy = connector.buildOrderBy('customer', 'name');
     expect(orderBy).to.eql('ORDER BY `NAME`');
@@ -437,27 +1030,1191 @@ describe('sql connector', function() {
     });
   });
 
-  it('builds INSERT', function() {
-    const sql = connector.buildInsert('customer', {name: 'John', vip: true});
-    expect(sql.toJSON()).to.eql({
-      sql: 'INSERT INTO `CUSTOMER`(`NAME`,`VIP`) VALUES($1,$2)',
-      params: ['John', true],
-    });
-  });
+  context('keyset pagination', function() {
+    function cursor(values) {
+      return Buffer.from(JSON.stringify(values)).toString('base64url');
+    }
 
-  it('normalizes a SQL statement from string', function() {
-    const sql = 'SELECT * FROM `CUSTOMER`';
-    const stmt = new ParameterizedSQL(sql);
-    expect(stmt.toJSON()).to.eql({sql: sql, params: []});
-  });
+    it('builds cursor from order columns', function() {
+      const token = connector.buildCursor('customer', {order: 'vip DESC'},
+        {name: 'John', vip: true, address: 'Main St'});
+      expect(token).to.eql(cursor([true, 'John']));
+    });
 
-  it('normalizes a SQL statement from object without params', function() {
-    const sql = {sql: 'SELECT * FROM `CUSTOMER`'};
-    const stmt = new ParameterizedSQL(sql);
-    expect(stmt.toJSON()).to.eql({sql: sql.sql, params: []});
-  });
+    it('builds SELECT with after', function() {
+      const sql = connector.buildSelect('customer', {
+        fields: ['name', 'vip'],
+        order: 'vip DESC',
+        limit: 5,
+        after: cursor([true, 'John']),
+      });
+      expect(sql.toJSON()).to.eql({
+        sql: 'SELECT `NAME`,`VIP` FROM `CUSTOMER` ' +
+          'WHERE ((`VIP`<$1) OR (`VIP`=$2 AND `NAME`>$3)) ' +
+          'ORDER BY `VIP` DESC,`NAME` ASC LIMIT 5',
+        params: [true, true, 'John'],
+      });
+    });
 
-  it('normalizes a SQL statement from object with params', function() {
+    it('builds SELECT with where and the default order after', function() {
+      const sql = connector.buildSelect('customer', {
+        fields: ['name'],
+        where: {vip: true},
+        after: cursor(['John']),
+      });
+      expect(sql.toJSON()).to.eql({
+        sql: 'SELECT `NAME` FROM `CUSTOMER` ' +
+          'WHERE `VIP`=$1 AND ((`NAME`>$2)) ORDER BY `NAME` ASC',
+        params: [true, 'John'],
+      });
+    });
+
+    it('builds SELECT with before in the reversed order', function() {
+      const sql = connector.buildSelect('customer', {
+        fields: ['name', 'vip'],
+        order: 'vip DESC',
+        limit: 5,
+        before: cursor([true, 'John']),
+      });
+      expect(sql.toJSON()).to.eql({
+        sql: 'SELECT `NAME`,`VIP` FROM `CUSTOMER` ' +
+          'WHERE ((`VIP`>$1) OR (`VIP`=$2 AND `NAME`<$3)) ' +
+          'ORDER BY `VIP` ASC,`NAME` DESC LIMIT 5',
+        params: [true, true, 'John'],
+      });
+    });
+
+    it('rejects an invalid cursor', function() {
+      expect(function() {
+        connector.buildSelect('customer', {after: 'not-a-cursor'});
+      }).to.throw(/Invalid cursor/);
+    });
+
+    it('rejects a cursor with null values', function() {
+      expect(function() {
+        connector.buildSelect('customer',
+          {order: 'vip DESC', after: cursor([null, 'John'])});
+      }).to.throw(/must not be nullable/);
+    });
+
+    it('builds the next cursor from the results of Model.find',
+      async function() {
+        connector.clearObservers('after execute');
+        const executeSQL = connector.executeSQL;
+        const statements = [];
+        connector.executeSQL = function(sql, params, options, cb) {
+          statements.push({sql: sql, params: params});
+          cb(null, [{NAME: 'John'}, {NAME: 'Mary'}]);
+        };
+        try {
+          const filter = {fields: ['name'], limit: 2};
+          const page = await Customer.find(filter);
+          const next = Customer.getConnector().buildCursor('customer', filter,
+            page[page.length - 1]);
+          await Customer.find(Object.assign({}, filter, {after: next}));
+        } finally {
+          connector.executeSQL = executeSQL;
+        }
+        expect(statements[1]).to.eql({
+          sql: 'SELECT `NAME` FROM `CUSTOMER` WHERE ((`NAME`>$1)) ' +
+            'ORDER BY `NAME` ASC LIMIT 2',
+          params: ['Mary'],
+        });
+      });
+
+    it('rejects after and before together', function() {
+      expect(function() {
+        connector.buildSelect('customer',
+          {after: cursor(['John']), before: cursor(['Mary'])});
+      }).to.throw(/cannot be used together/);
+    });
+
+    context('all', function() {
+      let executeSQL;
+
+      beforeEach(function() {
+        connector.clearObservers('after execute');
+        executeSQL = connector.executeSQL;
+        connector.executeSQL = function(sql, params, options, cb) {
+          cb(null, [{NAME: 'Mary'}, {NAME: 'Joe'}]);
+        };
+      });
+
+      afterEach(function() {
+        connector.executeSQL = executeSQL;
+      });
+
+      it('returns the cursors of the page', function(done) {
+        connector.all('customer', {limit: 2}, {}, function(err, data, page) {
+          if (err) return done(err);
+          expect(data).to.eql([{name: 'Mary'}, {name: 'Joe'}]);
+          expect(page).to.eql({
+            previous: cursor(['Mary']),
+            next: cursor(['Joe']),
+          });
+          done();
+        });
+      });
+
+      it('reverses the rows fetched before a cursor', function(done) {
+        connector.all('customer', {limit: 2, before: cursor(['Tom'])}, {},
+          function(err, data, page) {
+            if (err) return done(err);
+            expect(data).to.eql([{name: 'Joe'}, {name: 'Mary'}]);
+            expect(page).to.eql({
+              previous: cursor(['Joe']),
+              next: cursor(['Mary']),
+            });
+            done();
+          });
+      });
+
+      it('reports an invalid cursor', function(done) {
+        connector.all('customer', {after: 'bad'}, {}, function(err) {
+          expect(err).to.have.property('statusCode', 400);
+          done();
+        });
+      });
+    });
+  });
+
+  context('aggregate', function() {
+    it('builds SELECT with aggregates', function() {
+      const sql = connector.buildAggregate('customer', {
+        where: {vip: true},
+        groupBy: 'lastName',
+        aggregate: {
+          customers: {count: '*'},
+          addresses: {countDistinct: 'address'},
+          first: {min: 'name'},
+        },
+        having: {customers: {gt: 1}, lastName: {neq: null}},
+        order: ['customers DESC', 'lastName'],
+        limit: 10,
+      });
+      expect(sql.toJSON()).to.eql({
+        sql: 'SELECT `LASTNAME`,COUNT(*) AS `customers`,' +
+          'COUNT(DISTINCT `ADDRESS`) AS `addresses`,MIN(`NAME`) AS `first` ' +
+          'FROM `CUSTOMER` WHERE `VIP`=$1 GROUP BY `LASTNAME` ' +
+          'HAVING COUNT(*)>$2 AND `LASTNAME` IS NOT NULL ' +
+          'ORDER BY `customers` DESC,`LASTNAME` ASC LIMIT 10',
+        params: [true, 1],
+      });
+    });
+
+    it('builds SELECT with aggregates and or in having', function() {
+      const sql = connector.buildAggregate('order', {
+        aggregate: {total: {sum: 'id'}, average: {avg: 'id'}},
+        having: {or: [{total: {lt: 10}}, {average: {gte: 2}}]},
+      });
+      expect(sql.toJSON()).to.eql({
+        sql: 'SELECT SUM(`orderId`) AS `total`,AVG(`orderId`) AS `average` ' +
+          'FROM `ORDER` HAVING ((SUM(`orderId`)<$1) OR (AVG(`orderId`)>=$2))',
+        params: [10, 2],
+      });
+    });
+
+    it('rejects unknown aggregate functions', function() {
+      expect(function() {
+        connector.buildAggregate('order', {aggregate: {x: {median: 'id'}}});
+      }).to.throw('Unknown aggregate function median');
+    });
+
+    it('rejects unknown aggregate properties', function() {
+      expect(function() {
+        connector.buildAggregate('order', {aggregate: {x: {sum: 'price'}}});
+      }).to.throw('Unknown aggregate property price');
+    });
+
+    context('executing', function() {
+      let executeSQL;
+
+      beforeEach(function() {
+        connector.clearObservers('after execute');
+        executeSQL = connector.executeSQL;
+        connector.executeSQL = function(sql, params, options, cb) {
+          cb(null, [
+            {LASTNAME: 'Smith', customers: '2', first: 'Adam'},
+            {LASTNAME: 'Jones', customers: 1, first: null},
+          ]);
+        };
+      });
+
+      afterEach(function() {
+        connector.executeSQL = executeSQL;
+      });
+
+      it('returns groups with aggregate values', function(done) {
+        connector.aggregate('customer', {
+          groupBy: ['lastName'],
+          aggregate: {customers: {count: '*'}, first: {min: 'name'}},
+        }, {}, function(err, results) {
+          if (err) return done(err);
+          expect(results).to.eql([
+            {lastName: 'Smith', customers: 2, first: 'Adam'},
+            {lastName: 'Jones', customers: 1, first: null},
+          ]);
+          done();
+        });
+      });
+
+      it('reports an invalid spec', function(done) {
+        connector.aggregate('customer', {}, {}, function(err) {
+          expect(err).to.have.property('statusCode', 400);
+          done();
+        });
+      });
+    });
+  });
+
+  context('join include', function() {
+    let executeSQL, statements;
+
+    beforeEach(function() {
+      connector.clearObservers('after execute');
+      executeSQL = connector.executeSQL;
+      statements = [];
+      connector.executeSQL = function(sql, params, options, cb) {
+        statements.push({sql: sql, params: params});
+        cb(null, [{orderId: 1, 'customer__NAME': 'John'}]);
+      };
+    });
+
+    afterEach(function() {
+      connector.executeSQL = executeSQL;
+    });
+
+    it('builds SELECT with LEFT JOIN for belongsTo', function() {
+      const sql = connector.buildSelect('order', {
+        fields: ['des'],
+        where: {des: 'Widget'},
+        include: 'customer',
+        limit: 5,
+      }, {joinInclude: true});
+      expect(sql.toJSON()).to.eql({
+        sql: 'SELECT `order`.*,`customer`.`NAME` AS `customer__NAME`,' +
+          '`customer`.`middle_name` AS `customer__middle_name`,' +
+          '`customer`.`LASTNAME` AS `customer__LASTNAME`,' +
+          '`customer`.`VIP` AS `customer__VIP`,' +
+          '`customer`.`primary_address` AS `customer__primary_address`,' +
+          '`customer`.`TOKEN` AS `customer__TOKEN`,' +
+          '`customer`.`ADDRESS` AS `customer__ADDRESS` FROM (' +
+          'SELECT `description`,`CUSTOMERNAME`,`orderId` FROM `ORDER` ' +
+          'WHERE `description`=$1 ORDER BY `orderId` LIMIT 5) `order` ' +
+          'LEFT JOIN `CUSTOMER` `customer` ' +
+          'ON `customer`.`NAME`=`order`.`CUSTOMERNAME` ' +
+          'ORDER BY `order`.`orderId` ASC',
+        params: ['Widget'],
+      });
+    });
+
+    it('builds SELECT with LEFT JOIN for hasOne', function() {
+      const sql = connector.buildSelect('customer', {
+        fields: {name: true},
+        include: ['lastOrder'],
+      }, {joinInclude: true});
+      expect(sql.toJSON()).to.eql({
+        sql: 'SELECT `customer`.*,`lastOrder`.`orderId` AS `lastOrder__orderId`,' +
+          '`lastOrder`.`description` AS `lastOrder__description`,' +
+          '`lastOrder`.`CUSTOMERNAME` AS `lastOrder__CUSTOMERNAME` FROM (' +
+          'SELECT `NAME` FROM `CUSTOMER`) `customer` ' +
+          'LEFT JOIN `ORDER` `lastOrder` ' +
+          'ON `lastOrder`.`CUSTOMERNAME`=`customer`.`NAME` ' +
+          'ORDER BY `customer`.`NAME` ASC',
+        params: [],
+      });
+    });
+
+    it('selects the order properties for the joined rows', function() {
+      const sql = connector.buildSelect('customer', {
+        fields: {name: true},
+        order: 'vip DESC',
+        include: 'lastOrder',
+      }, {joinInclude: true});
+      expect(sql.sql).to.match(/FROM \(SELECT `NAME`,`VIP` FROM `CUSTOMER`\) /);
+      expect(sql.sql).to.match(/ ORDER BY `customer`.`VIP` DESC$/);
+    });
+
+    it('does not join when ordering by a JSON path', function() {
+      const Shop = ds.createModel('shop', {
+        id: {id: true, type: Number},
+        address: {city: String},
+      });
+      const Manager = ds.createModel('manager', {
+        id: {id: true, type: Number},
+        name: String,
+      });
+      Shop.belongsTo(Manager, {as: 'manager', foreignKey: 'managerId'});
+      const joins = connector._getJoinIncludes('shop', {
+        order: 'address.city',
+        include: 'manager',
+      }, {joinInclude: true});
+      expect(joins).to.eql([]);
+    });
+
+    it('aliases schema-qualified tables by the model name', function() {
+      connector.tableEscaped = function(model) {
+        return '`public`.' + this.escapeName(this.table(model));
+      };
+      try {
+        const sql = connector.buildSelect('order', {
+          fields: ['des'],
+          include: 'customer',
+        }, {joinInclude: true});
+        expect(sql.sql).to.match(/FROM `public`.`ORDER`\) `order` LEFT JOIN /);
+        expect(sql.sql).to.match(/ON `customer`.`NAME`=`order`.`CUSTOMERNAME` /);
+      } finally {
+        delete connector.tableEscaped;
+      }
+    });
+
+    it('does not join unless enabled', function() {
+      const sql = connector.buildSelect('order', {
+        fields: ['des'],
+        include: 'customer',
+      });
+      expect(sql.toJSON()).to.eql({
+        sql: 'SELECT `description` FROM `ORDER` ORDER BY `orderId`',
+        params: [],
+      });
+    });
+
+    it('splits joined rows into nested objects', function() {
+      const joins = connector._getJoinIncludes('order', {include: 'customer'},
+        {joinInclude: true});
+      const data = connector.fromRow('order', {
+        orderId: 1,
+        description: 'Widget',
+        CUSTOMERNAME: 'John',
+        'customer__NAME': 'John',
+        'customer__VIP': true,
+      }, joins);
+      expect(data).to.eql({
+        id: 1,
+        des: 'Widget',
+        customerName: 'John',
+        customer: {name: 'John', vip: true},
+      });
+    });
+
+    it('sets null for rows without a match', function() {
+      const joins = connector._getJoinIncludes('order', {include: 'customer'},
+        {joinInclude: true});
+      const data = connector.fromRow('order', {
+        orderId: 1,
+        'customer__NAME': null,
+        'customer__VIP': null,
+      }, joins);
+      expect(data).to.eql({id: 1, customer: null});
+    });
+
+    it('finds instances with joined relations', function(done) {
+      connector.all('order', {include: 'customer'}, {joinInclude: true},
+        function(err, data) {
+          if (err) return done(err);
+          expect(statements).to.have.length(1);
+          expect(data).to.eql([{id: 1, customer: {name: 'John'}}]);
+          done();
+        });
+    });
+  });
+
+  context('raw SQL expressions', function() {
+    const raw = SQLConnector.raw;
+    let executeSQL, statements, rows;
+
+    beforeEach(function() {
+      connector.clearObservers('after execute');
+      executeSQL = connector.executeSQL;
+      statements = [];
+      rows = [];
+      connector.executeSQL = function(sql, params, options, cb) {
+        statements.push({sql: sql, params: params});
+        cb(null, rows);
+      };
+    });
+
+    afterEach(function() {
+      connector.executeSQL = executeSQL;
+    });
+
+    it('builds where with raw values', function() {
+      const where = connector.buildWhere('order', {
+        id: raw('(SELECT MAX(`orderId`) FROM `ORDER` WHERE `CUSTOMERNAME`=?)',
+          ['John']),
+        des: {neq: SQLConnector.expr('UPPER(`description`)')},
+      });
+      expect(where.toJSON()).to.eql({
+        sql: 'WHERE `orderId`=(SELECT MAX(`orderId`) FROM `ORDER` ' +
+          'WHERE `CUSTOMERNAME`=?) AND `description`!=UPPER(`description`)',
+        params: ['John'],
+      });
+    });
+
+    it('builds where with raw values in inq and between', function() {
+      const where = connector.buildWhere('order', {
+        id: {between: [raw('?+1', [1]), 10]},
+        des: {inq: ['a', raw('LOWER(?)', ['B'])]},
+      });
+      expect(where.toJSON()).to.eql({
+        sql: 'WHERE `orderId` BETWEEN ?+1 AND ? AND ' +
+          '`description` IN (?,LOWER(?))',
+        params: [1, 10, 'a', 'B'],
+      });
+    });
+
+    it('builds where with raw conditions', function() {
+      const where = connector.buildWhere('customer', {
+        or: [{vip: true}, raw('LENGTH(`NAME`)>?', [3])],
+      });
+      expect(where.toJSON()).to.eql({
+        sql: 'WHERE ((`VIP`=?) OR (LENGTH(`NAME`)>?))',
+        params: [true, 3],
+      });
+    });
+
+    it('builds SELECT with computed fields and raw order', function() {
+      const total = raw('`orderId`*?', [2]);
+      const filter = {
+        fields: {des: true, total: total},
+        where: {id: {gt: total}},
+        order: [raw('`orderId`*? DESC', [3]), 'des'],
+      };
+      const sql = connector.buildSelect('order', filter);
+      expect(sql.toJSON()).to.eql({
+        sql: 'SELECT `description`,`orderId`*$1 AS `total` FROM `ORDER` ' +
+          'WHERE `orderId`>`orderId`*$2 ORDER BY `orderId`*$3 DESC,`description`',
+        params: [2, 2, 3],
+      });
+      // The expressions can be used again
+      expect(total.toJSON()).to.eql({sql: '`orderId`*?', params: [2]});
+      expect(connector.buildSelect('order', filter)).to.eql(sql);
+    });
+
+    it('keeps buildColumnNames and buildOrderBy as strings', function() {
+      const filter = {fields: {des: true, total: raw('`orderId`*?', [2])}};
+      expect(connector.buildColumnNames('order', filter)).to.eql('`description`');
+      expect(connector.buildSelectColumns('order', filter).toJSON()).to.eql({
+        sql: '`description`,`orderId`*? AS `total`',
+        params: [2],
+      });
+      expect(connector.buildOrderBy('order', [raw('RANDOM()'), 'des']))
+        .to.eql('ORDER BY RANDOM(),`description`');
+      expect(function() {
+        connector.buildOrderBy('order', [raw('`orderId`*?', [3])]);
+      }).to.throw(/buildOrderByClause/);
+      expect(connector.buildOrderByClause('order', [raw('`orderId`*?', [3])])
+        .toJSON()).to.eql({sql: 'ORDER BY `orderId`*?', params: [3]});
+    });
+
+    it('builds SELECT with an overridden buildOrderBy', function() {
+      connector.buildOrderBy = function(model, order) {
+        return 'ORDER BY ' + [].concat(order).join(',') + ' COLLATE';
+      };
+      try {
+        expect(connector.buildSelect('order', {fields: ['des'], order: 'des'})
+          .sql).to.eql('SELECT `description` FROM `ORDER` ORDER BY des COLLATE');
+        // Orders with parameters are built by buildOrderByClause
+        const sql = connector.buildSelect('order', {fields: ['des'],
+          order: [raw('`orderId`*?', [3])]});
+        expect(sql.sql).to.eql('SELECT `description` FROM `ORDER` ' +
+          'ORDER BY `orderId`*$1');
+      } finally {
+        delete connector.buildOrderBy;
+      }
+    });
+
+    it('rejects raw order with cursors', function() {
+      expect(function() {
+        connector.buildSelect('order', {order: [raw('RANDOM()')], after: 'x'});
+      }).to.throw(/Raw SQL expressions/);
+    });
+
+    it('finds instances with computed fields', function(done) {
+      rows = [{orderId: 1, description: 'Pen', total: 2}];
+      connector.all('order', {fields: {id: true, des: true,
+        total: raw('`orderId`*2')}}, {}, function(err, data) {
+        if (err) return done(err);
+        expect(data).to.eql([{id: 1, des: 'Pen', total: 2}]);
+        done();
+      });
+    });
+
+    it('supports raw where values with Model.find', async function() {
+      await Order.find({where: {id: {gt: raw('?+1', [1])}}, fields: ['des']});
+      expect(statements).to.eql([{
+        sql: 'SELECT `description` FROM `ORDER` WHERE `orderId`>$1+1 ' +
+          'ORDER BY `orderId`',
+        params: [1],
+      }]);
+    });
+
+    it('does not support computed fields and raw order with Model.find',
+      async function() {
+        // Juggler normalizes fields to property names
+        await Order.find({fields: {des: true, total: raw('`orderId`*2')}});
+        expect(statements[0].sql).to.eql('SELECT `description` FROM `ORDER` ' +
+          'ORDER BY `orderId`');
+        await expect(Order.find({order: [raw('RANDOM()')]}))
+          .to.be.rejectedWith(/order .* is not valid/);
+      });
+  });
+
+  context('distinct', function() {
+    let executeSQL, statements;
+
+    beforeEach(function() {
+      connector.clearObservers('after execute');
+      executeSQL = connector.executeSQL;
+      statements = [];
+      connector.executeSQL = function(sql, params, options, cb) {
+        statements.push({sql: sql, params: params});
+        cb(null, [{cnt: '3'}]);
+      };
+    });
+
+    afterEach(function() {
+      connector.executeSQL = executeSQL;
+    });
+
+    it('builds SELECT DISTINCT', function() {
+      const sql = connector.buildSelect('customer', {
+        fields: ['lastName', 'vip'],
+        distinct: true,
+        where: {vip: true},
+      });
+      expect(sql.toJSON()).to.eql({
+        sql: 'SELECT DISTINCT `LASTNAME`,`VIP` FROM `CUSTOMER` WHERE `VIP`=$1',
+        params: [true],
+      });
+    });
+
+    it('builds SELECT DISTINCT with order', function() {
+      const sql = connector.buildSelect('customer', {
+        fields: ['lastName'],
+        distinct: true,
+        order: 'lastName DESC',
+      });
+      expect(sql.sql).to.eql(
+        'SELECT DISTINCT `LASTNAME` FROM `CUSTOMER` ORDER BY `LASTNAME` DESC',
+      );
+    });
+
+    it('builds SELECT DISTINCT ON', function() {
+      const sql = connector.buildSelect('customer', {
+        distinct: ['lastName', 'unknown'],
+        fields: ['name', 'lastName'],
+      });
+      expect(sql.sql).to.eql('SELECT DISTINCT ON (`LASTNAME`) ' +
+        '`NAME`,`LASTNAME` FROM `CUSTOMER` ORDER BY `LASTNAME`');
+    });
+
+    it('builds SELECT DISTINCT ON for a property name', function() {
+      const sql = connector.buildSelect('customer', {
+        distinct: 'lastName',
+        fields: ['name', 'lastName'],
+      });
+      expect(sql.sql).to.eql('SELECT DISTINCT ON (`LASTNAME`) ' +
+        '`NAME`,`LASTNAME` FROM `CUSTOMER` ORDER BY `LASTNAME`');
+    });
+
+    it('rejects invalid distinct values', function() {
+      expect(function() {
+        connector.buildSelect('customer', {distinct: {lastName: true}});
+      }).to.throw(/distinct/).with.property('statusCode', 400);
+      expect(function() {
+        connector.buildSelect('customer', {distinct: 1});
+      }).to.throw(/distinct/);
+    });
+
+    it('builds SELECT with a custom buildDistinctOn', function() {
+      connector.buildDistinctOn = function(model, columnNames) {
+        return 'UNIQUE(' + columnNames.join(',') + ')';
+      };
+      try {
+        const sql = connector.buildSelect('customer', {
+          distinct: ['vip'], fields: ['vip'], order: 'vip DESC',
+        });
+        expect(sql.sql).to.eql('SELECT UNIQUE(`VIP`) `VIP` FROM `CUSTOMER` ' +
+          'ORDER BY `VIP` DESC');
+      } finally {
+        delete connector.buildDistinctOn;
+      }
+    });
+
+    it('builds count of distinct values', function() {
+      const sql = connector.buildCount('customer', {vip: true},
+        {distinct: 'lastName'});
+      expect(sql.toJSON()).to.eql({
+        sql: 'SELECT COUNT(DISTINCT `LASTNAME`) as "cnt" FROM `CUSTOMER` ' +
+          'WHERE `VIP`=$1',
+        params: [true],
+      });
+    });
+
+    it('builds count of distinct combinations', function() {
+      const sql = connector.buildCount('customer', {vip: true},
+        {distinct: ['lastName', 'address']});
+      expect(sql.toJSON()).to.eql({
+        sql: 'SELECT count(*) as "cnt" FROM (SELECT DISTINCT ' +
+          '`LASTNAME`,`ADDRESS` FROM `CUSTOMER` WHERE `VIP`=$1) ' +
+          '`distinct_rows`',
+        params: [true],
+      });
+    });
+
+    it('builds count without distinct', function() {
+      const sql = connector.buildCount('customer', {vip: true}, {});
+      expect(sql.toJSON()).to.eql({
+        sql: 'SELECT count(*) as "cnt" FROM `CUSTOMER` WHERE `VIP`=$1',
+        params: [true],
+      });
+    });
+
+    it('counts distinct values', function(done) {
+      connector.count('customer', {}, {distinct: 'lastName'},
+        function(err, count) {
+          if (err) return done(err);
+          expect(statements[0].sql)
+            .to.match(/^SELECT COUNT\(DISTINCT `LASTNAME`\)/);
+          expect(count).to.eql(3);
+          done();
+        });
+    });
+  });
+
+  context('row locking', function() {
+    const tx = {
+      isActive: function() {
+        return true;
+      },
+    };
+
+    it('builds SELECT FOR UPDATE', function() {
+      const sql = connector.buildSelect('customer', {
+        where: {name: 'John'}, limit: 1,
+      }, {transaction: tx, lock: 'update'});
+      expect(sql.toJSON()).to.eql({
+        sql: 'SELECT `NAME`,`middle_name`,`LASTNAME`,`VIP`,`primary_address`,' +
+          '`TOKEN`,`ADDRESS` FROM `CUSTOMER` WHERE `NAME`=$1 ORDER BY `NAME` ' +
+          'LIMIT 1 FOR UPDATE',
+        params: ['John'],
+      });
+    });
+
+    it('builds SELECT FOR SHARE with nowait and skipLocked', function() {
+      const filter = {fields: ['name']};
+      expect(connector.buildSelect('customer', filter,
+        {transaction: tx, lock: {mode: 'share', nowait: true}}).sql)
+        .to.eql('SELECT `NAME` FROM `CUSTOMER` ORDER BY `NAME` ' +
+          'FOR SHARE NOWAIT');
+      expect(connector.buildSelect('customer', filter,
+        {transaction: tx, lock: {mode: 'update', skipLocked: true}}).sql)
+        .to.eql('SELECT `NAME` FROM `CUSTOMER` ORDER BY `NAME` ' +
+          'FOR UPDATE SKIP LOCKED');
+    });
+
+    it('builds SELECT with a custom buildLockClause', function() {
+      let args;
+      connector.buildLockClause = function() {
+        args = Array.prototype.slice.call(arguments);
+        return 'WITH (UPDLOCK)';
+      };
+      try {
+        const sql = connector.buildSelect('customer', {fields: ['name']},
+          {transaction: tx, lock: {mode: 'update', nowait: true}});
+        expect(sql.sql).to.match(/ WITH \(UPDLOCK\)$/);
+        expect(args).to.eql(['customer', 'update',
+          {nowait: true, skipLocked: false}]);
+      } finally {
+        delete connector.buildLockClause;
+      }
+    });
+
+    it('rejects locks without an active transaction', function() {
+      expect(function() {
+        connector.buildSelect('customer', {}, {lock: 'update'});
+      }).to.throw(/requires an active transaction/)
+        .with.property('statusCode', 400);
+      expect(function() {
+        connector.buildSelect('customer', {}, {lock: 'update', transaction: {
+          isActive: function() {
+            return false;
+          },
+        }});
+      }).to.throw(/requires an active transaction/);
+    });
+
+    it('rejects invalid locks', function() {
+      expect(function() {
+        connector.buildSelect('customer', {},
+          {transaction: tx, lock: 'update; DROP TABLE CUSTOMER'});
+      }).to.throw(/Invalid lock mode/);
+      expect(function() {
+        connector.buildSelect('customer', {}, {transaction: tx,
+          lock: {mode: 'update', nowait: true, skipLocked: true}});
+      }).to.throw(/cannot be used together/);
+    });
+
+    it('reports lock errors to the callback of all', function(done) {
+      connector.all('customer', {}, {lock: 'share'}, function(err) {
+        expect(err.message).to.match(/requires an active transaction/);
+        done();
+      });
+    });
+  });
+
+  context('returning', function() {
+    let executeSQL;
+
+    beforeEach(function() {
+      connector.clearObservers('after execute');
+      connector.returningSupported = true;
+      executeSQL = connector.executeSQL;
+    });
+
+    afterEach(function() {
+      connector.executeSQL = executeSQL;
+      delete connector.returningSupported;
+    });
+
+    it('rejects returning if returningSupported is not set', function() {
+      delete connector.returningSupported;
+      expect(function() {
+        connector.buildDelete('order', {id: 1}, {returning: true});
+      }).to.throw(/not supported/);
+    });
+
+    it('builds UPDATE with RETURNING all columns', function() {
+      const sql = connector.buildUpdate('order', {des: 'Pen'}, {des: 'Pencil'},
+        {returning: true});
+      expect(sql.toJSON()).to.eql({
+        sql: 'UPDATE `ORDER` SET `description`=$1 WHERE `description`=$2 ' +
+          'RETURNING `orderId`,`description`,`CUSTOMERNAME`',
+        params: ['Pencil', 'Pen'],
+      });
+    });
+
+    it('builds DELETE with RETURNING given columns', function() {
+      const sql = connector.buildDelete('order', {des: 'Pen'},
+        {returning: ['id', 'unknown']});
+      expect(sql.toJSON()).to.eql({
+        sql: 'DELETE FROM `ORDER` WHERE `description`=$1 RETURNING `orderId`',
+        params: ['Pen'],
+      });
+    });
+
+    it('builds UPDATE and DELETE without returning', function() {
+      expect(connector.buildDelete('order', {id: 1}, {}).sql)
+        .to.eql('DELETE FROM `ORDER` WHERE `orderId`=$1');
+      expect(connector.buildUpdate('order', {id: 1}, {des: 'Pen'},
+        {returning: false}).sql)
+        .to.eql('UPDATE `ORDER` SET `description`=$1 WHERE `orderId`=$2');
+    });
+
+    it('builds DELETE with a custom buildReturning', function() {
+      connector.buildReturning = function(model, columnNames) {
+        return 'RETURNING INTO ' + columnNames.join(',');
+      };
+      try {
+        expect(connector.buildDelete('order', {id: 1}, {returning: ['id']}).sql)
+          .to.eql('DELETE FROM `ORDER` WHERE `orderId`=$1 ' +
+            'RETURNING INTO `orderId`');
+      } finally {
+        delete connector.buildReturning;
+      }
+    });
+
+    it('returns the updated rows', function(done) {
+      connector.executeSQL = function(sql, params, options, cb) {
+        cb(null, [{orderId: 1, description: 'Pencil'},
+          {orderId: 2, description: 'Pencil'}]);
+      };
+      connector.update('order', {des: 'Pen'}, {des: 'Pencil'},
+        {returning: ['id', 'des']}, function(err, info) {
+          if (err) return done(err);
+          expect(info).to.eql({count: 2, rows: [
+            {id: 1, des: 'Pencil'}, {id: 2, des: 'Pencil'},
+          ]});
+          done();
+        });
+    });
+
+    it('returns the deleted rows', function(done) {
+      connector.executeSQL = function(sql, params, options, cb) {
+        cb(null, [{orderId: 3}]);
+      };
+      connector.destroyAll('order', {id: 3}, {returning: ['id']},
+        function(err, info) {
+          if (err) return done(err);
+          expect(info).to.eql({count: 1, rows: [{id: 3}]});
+          done();
+        });
+    });
+  });
+
+  it('builds INSERT', function() {
+    const sql = connector.buildInsert('customer', {name: 'John', vip: true});
+    expect(sql.toJSON()).to.eql({
+      sql: 'INSERT INTO `CUSTOMER`(`NAME`,`VIP`) VALUES($1,$2)',
+      params: ['John', true],
+    });
+  });
+
+  context('upsert', function() {
+    let executeSQL, statements, rows;
+
+    beforeEach(function() {
+      connector.clearObservers('after execute');
+      connector.upsertSupported = true;
+      connector.getCountForAffectedRows = function(model, info) {
+        return info;
+      };
+      executeSQL = connector.executeSQL;
+      statements = [];
+      rows = [{NAME: 'John', LASTNAME: 'Smith', VIP: true}];
+      connector.executeSQL = function(sql, params, options, cb) {
+        statements.push({sql: sql, params: params});
+        cb(null, /^SELECT/.test(sql) ? rows : 1);
+      };
+    });
+
+    afterEach(function() {
+      connector.executeSQL = executeSQL;
+      delete connector.upsertSupported;
+      delete connector.getCountForAffectedRows;
+    });
+
+    it('builds UPSERT', function() {
+      const sql = connector.buildUpsert('customer', {name: 'John', vip: true});
+      expect(sql.toJSON()).to.eql({
+        sql: 'INSERT INTO `CUSTOMER`(`NAME`,`VIP`) VALUES($1,$2) ' +
+          'ON CONFLICT(`NAME`) DO UPDATE SET `VIP`=EXCLUDED.`VIP`',
+        params: ['John', true],
+      });
+    });
+
+    it('builds UPSERT with conflict keys', function() {
+      const sql = connector.buildUpsert('customer',
+        {name: 'John', lastName: 'Smith', vip: true}, ['lastName']);
+      expect(sql.toJSON()).to.eql({
+        sql: 'INSERT INTO `CUSTOMER`(`NAME`,`LASTNAME`,`VIP`) VALUES($1,$2,$3) ' +
+          'ON CONFLICT(`LASTNAME`) DO UPDATE SET `VIP`=EXCLUDED.`VIP`',
+        params: ['John', 'Smith', true],
+      });
+    });
+
+    it('builds UPSERT without columns to update', function() {
+      const sql = connector.buildUpsert('customer', {name: 'John'});
+      expect(sql.toJSON()).to.eql({
+        sql: 'INSERT INTO `CUSTOMER`(`NAME`) VALUES($1) ' +
+          'ON CONFLICT(`NAME`) DO NOTHING',
+        params: ['John'],
+      });
+    });
+
+    it('updates or creates with a single statement', function(done) {
+      connector.updateOrCreate('customer', {name: 'John', vip: true}, {},
+        function(err, data, info) {
+          if (err) return done(err);
+          expect(data).to.eql({name: 'John', lastName: 'Smith', vip: true});
+          expect(info).to.eql({});
+          expect(statements[0]).to.eql({
+            sql: 'INSERT INTO `CUSTOMER`(`NAME`,`VIP`) VALUES($1,$2) ' +
+              'ON CONFLICT(`NAME`) DO UPDATE SET `VIP`=EXCLUDED.`VIP`',
+            params: ['John', true],
+          });
+          expect(statements[1].sql).to.match(/^SELECT .* WHERE `NAME`=\$1/);
+          done();
+        });
+    });
+
+    it('returns null from buildUpsert if upsertSupported is not set',
+      function() {
+        delete connector.upsertSupported;
+        expect(connector.buildUpsert('customer', {name: 'John'})).to.equal(null);
+      });
+
+    it('finds and updates without upsert support', function(done) {
+      delete connector.upsertSupported;
+      connector.updateOrCreate('customer', {name: 'John', vip: true}, {},
+        function(err, data, info) {
+          if (err) return done(err);
+          expect(data).to.eql({name: 'John', lastName: 'Smith', vip: true});
+          expect(info).to.eql({isNewInstance: false});
+          expect(statements.map(function(s) {
+            return s.sql.split(' ')[0];
+          })).to.eql(['SELECT', 'UPDATE', 'SELECT']);
+          expect(statements[1]).to.eql({
+            sql: 'UPDATE `CUSTOMER` SET `VIP`=$1 WHERE `NAME`=$2',
+            params: [true, 'John'],
+          });
+          done();
+        });
+    });
+
+    it('finds and creates without upsert support', function(done) {
+      delete connector.upsertSupported;
+      rows = [];
+      connector.updateOrCreate('customer', {name: 'John', vip: true}, {},
+        function(err, data, info) {
+          if (err) return done(err);
+          expect(data).to.eql({name: 'John', vip: true});
+          expect(info).to.eql({isNewInstance: true});
+          expect(statements[1]).to.eql({
+            sql: 'INSERT INTO `CUSTOMER`(`NAME`,`VIP`) VALUES($1,$2)',
+            params: ['John', true],
+          });
+          done();
+        });
+    });
+
+    it('replaces or creates with all properties', function(done) {
+      connector.replaceOrCreate('customer', {name: 'John', vip: true}, {},
+        function(err, data) {
+          if (err) return done(err);
+          expect(data).to.eql({name: 'John', lastName: 'Smith', vip: true});
+          expect(statements).to.have.length(2);
+          expect(statements[0].sql).to.eql('INSERT INTO `CUSTOMER`' +
+            '(`NAME`,`middle_name`,`LASTNAME`,`VIP`,`primary_address`,`ADDRESS`)' +
+            ' VALUES($1,$2,$3,$4,$5,$6) ON CONFLICT(`NAME`) DO UPDATE SET ' +
+            '`middle_name`=EXCLUDED.`middle_name`,`LASTNAME`=EXCLUDED.`LASTNAME`,' +
+            '`VIP`=EXCLUDED.`VIP`,`primary_address`=EXCLUDED.`primary_address`,' +
+            '`ADDRESS`=EXCLUDED.`ADDRESS`');
+          expect(statements[0].params).to.eql(
+            ['John', null, null, true, null, null],
+          );
+          done();
+        });
+    });
+
+    it('creates a new instance when id is not provided', function(done) {
+      connector.updateOrCreate('order', {des: 'Widget'}, {},
+        function(err, data, info) {
+          if (err) return done(err);
+          expect(data).to.eql({des: 'Widget', id: 1});
+          expect(info).to.eql({isNewInstance: true});
+          expect(statements).to.eql([{
+            sql: 'INSERT INTO `ORDER`(`description`) VALUES($1)',
+            params: ['Widget'],
+          }]);
+          done();
+        });
+    });
+  });
+
+  context('findOrCreate', function() {
+    let executeSQL, statements, rows;
+
+    beforeEach(function() {
+      connector.clearObservers('after execute');
+      executeSQL = connector.executeSQL;
+      statements = [];
+      rows = [];
+      connector.executeSQL = function(sql, params, options, cb) {
+        statements.push({sql: sql, transaction: !!options.transaction});
+        cb(null, sql.indexOf('SELECT') === 0 ? rows : 1);
+      };
+    });
+
+    afterEach(function() {
+      connector.executeSQL = executeSQL;
+      delete connector.buildInsertIfNotExists;
+      delete connector.getCountForAffectedRows;
+    });
+
+    it('creates the instance in a transaction if not found', function(done) {
+      connector.findOrCreate('customer', {where: {name: 'John'}},
+        {name: 'John', vip: true}, {}, function(err, data, created) {
+          if (err) return done(err);
+          expect(data).to.eql({name: 'John', vip: true});
+          expect(created).to.equal(true);
+          expect(statements).to.eql([{
+            sql: 'SELECT `NAME`,`middle_name`,`LASTNAME`,`VIP`,' +
+              '`primary_address`,`TOKEN`,`ADDRESS` FROM `CUSTOMER` ' +
+              'WHERE `NAME`=$1 ORDER BY `NAME` LIMIT 1',
+            transaction: true,
+          }, {
+            sql: 'INSERT INTO `CUSTOMER`(`NAME`,`VIP`) VALUES($1,$2)',
+            transaction: true,
+          }]);
+          done();
+        });
+    });
+
+    it('returns the existing instance if found', function(done) {
+      rows = [{NAME: 'John', VIP: false}];
+      connector.findOrCreate('customer', {where: {name: 'John'}},
+        {name: 'John', vip: true}, {}, function(err, data, created) {
+          if (err) return done(err);
+          expect(data).to.eql({name: 'John', vip: false});
+          expect(created).to.equal(false);
+          expect(statements).to.have.length(1);
+          done();
+        });
+    });
+
+    it('uses the insert-if-not-exists statement from the connector',
+      function(done) {
+        connector.buildInsertIfNotExists = function(model, where, data) {
+          return new ParameterizedSQL('INSERT IF NOT EXISTS');
+        };
+        connector.getCountForAffectedRows = function(model, info) {
+          return info;
+        };
+        connector.findOrCreate('order', {where: {des: 'Widget'}},
+          {des: 'Widget'}, {}, function(err, data, created) {
+            if (err) return done(err);
+            expect(data).to.eql({des: 'Widget', id: 1});
+            expect(created).to.equal(true);
+            expect(statements).to.eql([
+              {sql: 'INSERT IF NOT EXISTS', transaction: false},
+            ]);
+            done();
+          });
+      });
+
+    it('only selects if the insert-if-not-exists statement inserts nothing',
+      function(done) {
+        connector.buildInsertIfNotExists = function(model, where, data) {
+          return new ParameterizedSQL('INSERT IF NOT EXISTS');
+        };
+        connector.getCountForAffectedRows = function(model, info) {
+          return 0;
+        };
+        connector.findOrCreate('customer', {where: {name: 'John'}},
+          {name: 'John'}, {}, function(err) {
+            expect(err).to.have.property('statusCode', 409);
+            expect(statements.map(function(s) {
+              return s.sql.split(' ')[0];
+            })).to.eql(['INSERT', 'SELECT']);
+            rows = [{NAME: 'John', VIP: false}];
+            statements = [];
+            connector.findOrCreate('customer', {where: {name: 'John'}},
+              {name: 'John'}, {}, function(err, data, created) {
+                if (err) return done(err);
+                expect(data).to.eql({name: 'John', vip: false});
+                expect(created).to.equal(false);
+                expect(statements).to.have.length(2);
+                done();
+              });
+          });
+      });
+  });
+
+  context('allStream', function() {
+    const rows = [{NAME: 'John', VIP: true}, {NAME: 'Mary', VIP: false}];
+    let executeSQL;
+
+    beforeEach(function() {
+      connector.clearObservers('after execute');
+      executeSQL = connector.executeSQL;
+    });
+
+    afterEach(function() {
+      connector.executeSQL = executeSQL;
+      delete connector.executeSQLStream;
+    });
+
+    async function collect(objs) {
+      const results = [];
+      for await (const obj of objs) {
+        results.push(obj);
+      }
+      return results;
+    }
+
+    it('streams rows from executeSQLStream', async function() {
+      let statement;
+      connector.executeSQLStream = function(sql, params, options) {
+        statement = {sql: sql, params: params};
+        return Readable.from(rows);
+      };
+      const results = await collect(connector.allStream('customer',
+        {where: {vip: true}, fields: ['name', 'vip']}));
+      expect(statement).to.eql({
+        sql: 'SELECT `NAME`,`VIP` FROM `CUSTOMER` WHERE `VIP`=$1 ORDER BY `NAME`',
+        params: [true],
+      });
+      expect(results).to.eql([
+        {name: 'John', vip: true},
+        {name: 'Mary', vip: false},
+      ]);
+    });
+
+    it('notifies execute observers for executeSQLStream', async function() {
+      const events = [];
+      connector.executeSQLStream = function(sql, params, options) {
+        events.push('stream');
+        return Readable.from(rows);
+      };
+      connector.observe('before execute', function(ctx, next) {
+        events.push('before ' + ctx.req.sql.split(' ')[0]);
+        next();
+      });
+      connector.observe('after execute', function(ctx, next) {
+        events.push('after');
+        next();
+      });
+      try {
+        const results = await collect(connector.allStream('customer'));
+        expect(results).to.have.length(2);
+      } finally {
+        connector.clearObservers('before execute');
+        connector.clearObservers('after execute');
+      }
+      expect(events).to.eql(['before SELECT', 'stream', 'after']);
+    });
+
+    it('reports invalid filters on the stream', async function() {
+      connector.executeSQLStream = function() {
+        throw new Error('should not be called');
+      };
+      let objs;
+      expect(function() {
+        objs = connector.allStream('customer', {order: 'name; DROP'});
+      }).to.not.throw();
+      await expect(collect(objs)).to.be.rejectedWith(/order/);
+    });
+
+    it('falls back to execute', async function() {
+      connector.executeSQL = function(sql, params, options, cb) {
+        cb(null, rows);
+      };
+      const results = await collect(connector.allStream('customer'));
+      expect(results).to.eql([
+        {name: 'John', vip: true},
+        {name: 'Mary', vip: false},
+      ]);
+    });
+
+    it('reports errors from execute', async function() {
+      connector.executeSQL = function(sql, params, options, cb) {
+        cb(new Error('query failed'));
+      };
+      await expect(collect(connector.allStream('customer')))
+        .to.be.rejectedWith('query failed');
+    });
+
+    it('rejects include', async function() {
+      await expect(collect(connector.allStream('customer', {include: 'orders'})))
+        .to.be.rejectedWith('include is not supported by allStream()');
+    });
+  });
+
+  it('normalizes a SQL statement from string', function() {
+    const sql = 'SELECT * FROM `CUSTOMER`';
+    const stmt = new ParameterizedSQL(sql);
+    expect(stmt.toJSON()).to.eql({sql: sql, params: []});
+  });
+
+  it('normalizes a SQL statement from object without params', function() {
+    const sql = {sql: 'SELECT * FROM `CUSTOMER`'};
+    const stmt = new ParameterizedSQL(sql);
+    expect(stmt.toJSON()).to.eql({sql: sql.sql, params: []});
+  });
+
+  it('normalizes a SQL statement from object with params', function() {
     const sql =
     {sql: 'SELECT * FROM `CUSTOMER` WHERE `NAME`=?', params: ['John']};
     const stmt = new ParameterizedSQL(sql);
@@ -667,4 +2424,656 @@ describe('sql connector', function() {
       });
     });
   });
+
+  context('updateAllById and destroyAllById', function() {
+    let executeSQL, statements;
+
+    beforeEach(function() {
+      connector.clearObservers('after execute');
+      connector.returningSupported = true;
+      executeSQL = connector.executeSQL;
+      statements = [];
+      connector.executeSQL = function(sql, params, options, cb) {
+        statements.push({sql: sql, params: params});
+        cb(null, [{orderId: 1}, {orderId: 3}]);
+      };
+    });
+
+    afterEach(function() {
+      connector.executeSQL = executeSQL;
+      delete connector.returningSupported;
+    });
+
+    context('without returningSupported', function() {
+      beforeEach(function() {
+        delete connector.returningSupported;
+        connector.executeSQL = function(sql, params, options, cb) {
+          statements.push({sql: sql, params: params});
+          cb(null, {affectedRows: params[params.length - 1] === 2 ? 0 : 1});
+        };
+        connector.getCountForAffectedRows = function(model, info) {
+          return info.affectedRows;
+        };
+      });
+
+      afterEach(function() {
+        delete connector.getCountForAffectedRows;
+      });
+
+      it('updates rows one by one', function(done) {
+        connector.updateAllById('order', [
+          {id: 1, des: 'Pen'}, {id: 2, des: 'Pencil'}, {id: 3},
+        ], {}, function(err, info) {
+          if (err) return done(err);
+          expect(statements).to.eql([
+            {sql: 'UPDATE `ORDER` SET `description`=$1 WHERE `orderId`=$2',
+              params: ['Pen', 1]},
+            {sql: 'UPDATE `ORDER` SET `description`=$1 WHERE `orderId`=$2',
+              params: ['Pencil', 2]},
+          ]);
+          expect(info).to.eql({count: 1, counts: [1, 0, 0]});
+          done();
+        });
+      });
+
+      it('deletes rows one by one', function(done) {
+        connector.destroyAllById('order', [1, 2], {}, function(err, info) {
+          if (err) return done(err);
+          expect(statements.map(function(s) {
+            return s.sql.trim();
+          })).to.eql([
+            'DELETE FROM `ORDER` WHERE `orderId`=$1',
+            'DELETE FROM `ORDER` WHERE `orderId`=$1',
+          ]);
+          expect(info).to.eql({count: 1, counts: [1, 0]});
+          done();
+        });
+      });
+    });
+
+    it('builds UPDATE with CASE WHEN for each id', function() {
+      const sql = connector.buildUpdateAllById('order', [
+        {id: 1, des: 'Pen'},
+        {id: 2, des: 'Pencil', customerName: 'John'},
+        {id: 3},
+      ]);
+      expect(sql.toJSON()).to.eql({
+        sql: 'UPDATE `ORDER` SET `description`=CASE ' +
+          'WHEN `orderId`=$1 THEN $2 WHEN `orderId`=$3 THEN $4 ' +
+          'ELSE `description` END,' +
+          '`CUSTOMERNAME`=CASE WHEN `orderId`=$5 THEN $6 ' +
+          'ELSE `CUSTOMERNAME` END ' +
+          'WHERE `orderId` IN ($7,$8) RETURNING `orderId`',
+        params: [1, 'Pen', 2, 'Pencil', 2, 'John', 1, 2],
+      });
+    });
+
+    it('returns null if there is nothing to update', function() {
+      expect(connector.buildUpdateAllById('order', [{id: 1}])).to.equal(null);
+    });
+
+    it('updates rows by ids with per-id counts', function(done) {
+      connector.updateAllById('order', [
+        {id: 1, des: 'Pen'}, {id: 2, des: 'Pencil'}, {id: 3, des: 'Paper'},
+      ], {}, function(err, info) {
+        if (err) return done(err);
+        expect(statements.length).to.eql(1);
+        expect(info).to.eql({count: 2, counts: [1, 0, 1]});
+        done();
+      });
+    });
+
+    it('skips the statement if there is nothing to update', function(done) {
+      connector.updateAllById('order', [{id: 1}], {}, function(err, info) {
+        if (err) return done(err);
+        expect(statements).to.eql([]);
+        expect(info).to.eql({count: 0, counts: [0]});
+        done();
+      });
+    });
+
+    it('rejects rows without ids', function(done) {
+      connector.updateAllById('order', [{id: 1, des: 'Pen'}, {des: 'Pencil'}],
+        {}, function(err) {
+          expect(err).to.have.property('statusCode', 400);
+          expect(err.message).to.match(/requires the id value of every row/);
+          expect(statements).to.eql([]);
+          done();
+        });
+    });
+
+    it('deletes rows by ids with per-id counts', function(done) {
+      connector.destroyAllById('order', [3, 4], {}, function(err, info) {
+        if (err) return done(err);
+        expect(statements).to.eql([{
+          sql: 'DELETE FROM `ORDER` WHERE `orderId` IN ($1,$2) ' +
+            'RETURNING `orderId`',
+          params: [3, 4],
+        }]);
+        expect(info).to.eql({count: 2, counts: [1, 0]});
+        done();
+      });
+    });
+  });
+
+  context('versionProperty', function() {
+    let Account, executeSQL, statements, affectedRows;
+
+    before(function() {
+      Account = ds.createModel('account', {
+        id: {id: true, type: Number},
+        name: String,
+        version: Number,
+      }, {versionProperty: 'version'});
+    });
+
+    beforeEach(function() {
+      connector.clearObservers('after execute');
+      executeSQL = connector.executeSQL;
+      statements = [];
+      affectedRows = 1;
+      connector.executeSQL = function(sql, params, options, cb) {
+        statements.push({sql: sql, params: params});
+        if (/^SELECT/.test(sql)) {
+          return cb(null, [{ID: 1, NAME: 'John', VERSION: 1}]);
+        }
+        cb(null, {affectedRows: affectedRows});
+      };
+      connector.getCountForAffectedRows = function(model, info) {
+        return info.affectedRows;
+      };
+    });
+
+    afterEach(function() {
+      connector.executeSQL = executeSQL;
+      delete connector.getCountForAffectedRows;
+      delete connector.upsertSupported;
+    });
+
+    it('adds the version to the where object by id', function() {
+      const data = {id: 1, name: 'John', version: 2};
+      const where = connector._buildWhereObjById('account', 1, data);
+      expect(where).to.eql({id: 1, version: 2});
+      expect(data).to.eql({name: 'John'});
+    });
+
+    it('increments the version for updateAttributes', function(done) {
+      const data = {name: 'John', version: 2};
+      connector.updateAttributes('account', 1, data, {}, function(err) {
+        if (err) return done(err);
+        expect(statements).to.eql([{
+          sql: 'UPDATE `ACCOUNT` SET `NAME`=$1,' +
+            '`VERSION`=COALESCE(`VERSION`,0)+1 ' +
+            'WHERE `ID`=$2 AND `VERSION`=$3',
+          params: ['John', 1, 2],
+        }]);
+        expect(data).to.eql({name: 'John', version: 3});
+        done();
+      });
+    });
+
+    it('increments the version for replaceById', function(done) {
+      connector.replaceById('account', 1, {name: 'John', version: 2}, {},
+        function(err) {
+          if (err) return done(err);
+          expect(statements[0].sql).to.eql('UPDATE `ACCOUNT` SET `NAME`=$1,' +
+            '`VERSION`=COALESCE(`VERSION`,0)+1 ' +
+            'WHERE `ID`=$2 AND `VERSION`=$3');
+          done();
+        });
+    });
+
+    it('reports VERSION_CONFLICT for updateAttributes', function(done) {
+      affectedRows = 0;
+      connector.updateAttributes('account', 1, {name: 'John', version: 2}, {},
+        function(err) {
+          expect(err).to.have.property('statusCode', 409);
+          expect(err).to.have.property('code', 'VERSION_CONFLICT');
+          done();
+        });
+    });
+
+    it('reports VERSION_CONFLICT for save', function(done) {
+      affectedRows = 0;
+      connector.save('account', {id: 1, name: 'John', version: 2}, {},
+        function(err) {
+          expect(statements[0]).to.eql({
+            sql: 'UPDATE `ACCOUNT` SET `NAME`=$1,' +
+              '`VERSION`=COALESCE(`VERSION`,0)+1 ' +
+              'WHERE `ID`=$2 AND `VERSION`=$3',
+            params: ['John', 1, 2],
+          });
+          expect(err).to.have.property('code', 'VERSION_CONFLICT');
+          done();
+        });
+    });
+
+    it('increments the version for updateAllById', function() {
+      const sql = connector.buildUpdateAllById('account',
+        [{id: 1, name: 'a', version: 3}]);
+      expect(sql.toJSON()).to.eql({
+        sql: 'UPDATE `ACCOUNT` SET `NAME`=CASE WHEN `ID`=$1 THEN $2 ' +
+          'ELSE `NAME` END,`VERSION`=CASE WHEN `ID`=$3 ' +
+          'THEN COALESCE(`VERSION`,0)+1 ELSE `VERSION` END ' +
+          'WHERE `ID` IN ($4) RETURNING `ID`',
+        params: [1, 'a', 1, 1],
+      });
+    });
+
+    it('increments the version for UPSERT', function() {
+      connector.upsertSupported = true;
+      const sql = connector.buildUpsert('account',
+        {id: 1, name: 'a', version: 3});
+      expect(sql.sql).to.eql('INSERT INTO `ACCOUNT`(`ID`,`NAME`,`VERSION`) ' +
+        'VALUES($1,$2,$3) ON CONFLICT(`ID`) DO UPDATE SET ' +
+        '`NAME`=EXCLUDED.`NAME`,`VERSION`=COALESCE(`ACCOUNT`.`VERSION`,0)+1');
+    });
+
+    it('reports not found without the expected version', function(done) {
+      affectedRows = 0;
+      connector.updateAttributes('account', 1, {name: 'John'}, {},
+        function(err) {
+          expect(err).to.have.property('statusCode', 404);
+          done();
+        });
+    });
+
+    it('updates the version of the instance for Model.prototype.save',
+      async function() {
+        const account = await Account.findById(1);
+        account.name = 'Mary';
+        await account.save();
+        expect(account.version).to.equal(2);
+        await account.save();
+        expect(account.version).to.equal(3);
+        const updates = statements.slice(1);
+        expect(updates.map(function(s) { return s.params; })).to.eql([
+          ['Mary', 1, 1],
+          ['Mary', 1, 2],
+        ]);
+        expect(updates[1].sql).to.eql('UPDATE `ACCOUNT` SET `NAME`=$1,' +
+          '`VERSION`=COALESCE(`VERSION`,0)+1 ' +
+          'WHERE `ID`=$2 AND `VERSION`=$3');
+      });
+
+    it('checks the version of the instance for updateAttributes',
+      async function() {
+        const account = await Account.findById(1);
+        await account.updateAttributes({name: 'Mary'});
+        expect(statements[1]).to.eql({
+          sql: 'UPDATE `ACCOUNT` SET `NAME`=$1,' +
+            '`VERSION`=COALESCE(`VERSION`,0)+1 ' +
+            'WHERE `ID`=$2 AND `VERSION`=$3',
+          params: ['Mary', 1, 1],
+        });
+        expect(account.version).to.equal(2);
+        await account.updateAttributes({name: 'Jane'});
+        expect(statements[2].params).to.eql(['Jane', 1, 2]);
+      });
+
+    it('keeps the version of the instance on VERSION_CONFLICT',
+      async function() {
+        const account = await Account.findById(1);
+        affectedRows = 0;
+        await expect(account.updateAttributes({name: 'Mary'}))
+          .to.be.rejectedWith(/Version conflict/);
+        expect(account.version).to.equal(1);
+      });
+  });
+
+  context('softDelete', function() {
+    let executeSQL, statements;
+
+    before(function() {
+      ds.createModel('note', {
+        id: {id: true, type: Number},
+        text: String,
+        deletedAt: Date,
+      }, {softDelete: {property: 'deletedAt'}});
+      const Author = ds.createModel('author', {
+        id: {id: true, type: Number},
+        name: String,
+        deletedAt: Date,
+      }, {softDelete: true});
+      const Book = ds.createModel('book', {
+        id: {id: true, type: Number},
+        title: String,
+      });
+      Book.belongsTo(Author, {as: 'author', foreignKey: 'authorId'});
+    });
+
+    beforeEach(function() {
+      connector.clearObservers('after execute');
+      executeSQL = connector.executeSQL;
+      statements = [];
+      connector.executeSQL = function(sql, params, options, cb) {
+        statements.push({sql: sql, params: params});
+        cb(null, []);
+      };
+    });
+
+    afterEach(function() {
+      connector.executeSQL = executeSQL;
+    });
+
+    it('builds UPDATE stamping the soft delete property', function() {
+      const sql = connector.buildDelete('note', {text: 'x'});
+      expect(sql.sql).to.eql('UPDATE `NOTE` SET `DELETEDAT`=$1 ' +
+        'WHERE ((`TEXT`=$2) AND (`DELETEDAT` IS NULL))');
+      expect(sql.params[0]).to.be.an.instanceOf(Date);
+      expect(sql.params[1]).to.eql('x');
+    });
+
+    it('checks requireWhereForBulkWrites before excluding rows', function() {
+      connector.settings.requireWhereForBulkWrites = true;
+      try {
+        expect(function() {
+          connector.buildDelete('note', {});
+        }).to.throw(/DELETE of all rows/);
+      } finally {
+        delete connector.settings.requireWhereForBulkWrites;
+      }
+    });
+
+    it('excludes soft deleted rows from SELECT', function() {
+      const sql = connector.buildSelect('note', {});
+      expect(sql.toJSON()).to.eql({
+        sql: 'SELECT `ID`,`TEXT`,`DELETEDAT` FROM `NOTE` ' +
+          'WHERE `DELETEDAT` IS NULL ORDER BY `ID`',
+        params: [],
+      });
+    });
+
+    it('includes soft deleted rows with options.withDeleted', function() {
+      const sql = connector.buildSelect('note', {where: {text: 'x'}},
+        {withDeleted: true});
+      expect(sql.toJSON()).to.eql({
+        sql: 'SELECT `ID`,`TEXT`,`DELETEDAT` FROM `NOTE` ' +
+          'WHERE `TEXT`=$1 ORDER BY `ID`',
+        params: ['x'],
+      });
+    });
+
+    it('excludes soft deleted rows from count', function() {
+      const sql = connector.buildCount('note', {text: 'x'});
+      expect(sql.toJSON()).to.eql({
+        sql: 'SELECT count(*) as "cnt" FROM `NOTE` ' +
+          'WHERE ((`TEXT`=$1) AND (`DELETEDAT` IS NULL))',
+        params: ['x'],
+      });
+    });
+
+    it('excludes soft deleted rows from aggregates', function() {
+      const sql = connector.buildAggregate('note', {
+        aggregate: {notes: {count: '*'}},
+      });
+      expect(sql.toJSON()).to.eql({
+        sql: 'SELECT COUNT(*) AS `notes` FROM `NOTE` ' +
+          'WHERE `DELETEDAT` IS NULL',
+        params: [],
+      });
+    });
+
+    it('does not join soft deleted related rows', function() {
+      const sql = connector.buildSelect('book', {include: 'author'},
+        {joinInclude: true});
+      expect(sql.sql).to.match(/LEFT JOIN `AUTHOR` `author` ON `author`.`ID`=/);
+      expect(sql.sql).to.match(/ AND `author`.`DELETEDAT` IS NULL /);
+    });
+
+    it('does not match soft deleted related rows', function() {
+      const where = connector.buildWhere('book', {'author.name': 'John'});
+      expect(where.toJSON()).to.eql({
+        sql: 'WHERE EXISTS (SELECT 1 FROM `AUTHOR` `author` ' +
+          'WHERE `author`.`ID`=`BOOK`.`AUTHORID` ' +
+          'AND ((`NAME`=?) AND (`DELETEDAT` IS NULL)))',
+        params: ['John'],
+      });
+    });
+
+    it('excludes soft deleted rows from exists', function(done) {
+      connector.exists('note', 1, {}, function(err, exists) {
+        if (err) return done(err);
+        expect(statements[0].sql)
+          .to.match(/WHERE \(\(`ID`=\$1\) AND \(`DELETEDAT` IS NULL\)\)/);
+        expect(exists).to.equal(false);
+        done();
+      });
+    });
+  });
+
+  context('timestamps', function() {
+    before(function() {
+      ds.createModel('post', {
+        id: {id: true, type: Number},
+        title: String,
+        createdAt: Date,
+        updatedAt: Date,
+      }, {timestamps: true});
+      ds.createModel('comment', {
+        id: {id: true, type: Number},
+        body: String,
+        created: Date,
+        modified: Date,
+      }, {timestamps: {
+        createdAt: 'created',
+        updatedAt: 'modified',
+        databaseTime: true,
+      }});
+    });
+
+    afterEach(function() {
+      delete connector.multiInsertSupported;
+      delete connector.upsertSupported;
+      delete connector.settings.maxParamsPerStatement;
+    });
+
+    it('sets createdAt and updatedAt for INSERT', function() {
+      const sql = connector.buildInsert('post', {id: 1, title: 'a'});
+      expect(sql.sql).to.eql('INSERT INTO `POST`(`ID`,`TITLE`,`CREATEDAT`,' +
+        '`UPDATEDAT`) VALUES($1,$2,$3,$4)');
+      expect(sql.params[2]).to.be.an.instanceOf(Date);
+      expect(sql.params[3]).to.equal(sql.params[2]);
+    });
+
+    it('keeps the given createdAt for INSERT', function() {
+      const createdAt = new Date(0);
+      const sql = connector.buildInsert('post', {title: 'a', createdAt});
+      expect(sql.sql).to.eql('INSERT INTO `POST`(`TITLE`,`CREATEDAT`,' +
+        '`UPDATEDAT`) VALUES($1,$2,$3)');
+      expect(sql.params[1]).to.equal(createdAt);
+    });
+
+    it('sets CURRENT_TIMESTAMP for multiple rows', function() {
+      connector.multiInsertSupported = true;
+      const sql = connector.buildInsertAll('comment',
+        [{body: 'a'}, {body: 'b'}]);
+      expect(sql.toJSON()).to.eql({
+        sql: 'INSERT INTO `COMMENT`(`BODY`,`CREATED`,`MODIFIED`) ' +
+          'VALUES ($1,CURRENT_TIMESTAMP,CURRENT_TIMESTAMP),' +
+          ' ($2,CURRENT_TIMESTAMP,CURRENT_TIMESTAMP)',
+        params: ['a', 'b'],
+      });
+    });
+
+    it('counts timestamps for maxParamsPerStatement', function() {
+      connector.settings.maxParamsPerStatement = 4;
+      const chunks = connector._getInsertChunks('post', [
+        {id: 1, title: 'a'}, {id: 2, title: 'b'},
+      ]);
+      expect(chunks).to.have.length(2);
+    });
+
+    it('sets only updatedAt for UPDATE', function() {
+      const sql = connector.buildUpdate('comment', {id: 1},
+        {body: 'a', created: new Date()});
+      expect(sql.toJSON()).to.eql({
+        sql: 'UPDATE `COMMENT` SET `BODY`=$1,`MODIFIED`=CURRENT_TIMESTAMP ' +
+          'WHERE `ID`=$2',
+        params: ['a', 1],
+      });
+    });
+
+    it('keeps createdAt for replace', function() {
+      const sql = connector.buildReplace('comment', {id: 1}, {body: 'a'});
+      expect(sql.toJSON()).to.eql({
+        sql: 'UPDATE `COMMENT` SET `BODY`=$1,`MODIFIED`=CURRENT_TIMESTAMP ' +
+          'WHERE `ID`=$2',
+        params: ['a', 1],
+      });
+    });
+
+    it('does not overwrite createdAt for UPSERT', function() {
+      connector.upsertSupported = true;
+      const sql = connector.buildUpsert('comment', {id: 1, body: 'a'});
+      expect(sql.sql).to.eql('INSERT INTO `COMMENT`(`ID`,`BODY`,`CREATED`,' +
+        '`MODIFIED`) VALUES($1,$2,CURRENT_TIMESTAMP,CURRENT_TIMESTAMP) ' +
+        'ON CONFLICT(`ID`) DO UPDATE SET `BODY`=EXCLUDED.`BODY`,' +
+        '`MODIFIED`=EXCLUDED.`MODIFIED`');
+    });
+  });
+
+  context('createAll', function() {
+    let executeSQL, statements;
+    const rows = [{des: 'a'}, {des: 'b'}, {des: 'c'}];
+
+    beforeEach(function() {
+      connector.clearObservers('after execute');
+      executeSQL = connector.executeSQL;
+      statements = [];
+      connector.executeSQL = function(sql, params, options, cb) {
+        statements.push({sql: sql, params: params,
+          transaction: !!options.transaction});
+        if (sql === 'FAIL') return cb(new Error('insert failed'));
+        // The test connector returns the inserted ids as the result
+        const count = sql.split('),').length;
+        const ids = [];
+        for (let i = 0; i < count; i++) ids.push(statements.length * 10 + i);
+        cb(null, connector.multiInsertSupported ? ids : ids[0]);
+      };
+    });
+
+    afterEach(function() {
+      connector.executeSQL = executeSQL;
+      delete connector.multiInsertSupported;
+      delete connector.buildInsertAll;
+      delete connector.settings.maxRowsPerInsert;
+      delete connector.settings.maxParamsPerStatement;
+    });
+
+    it('inserts rows one by one in a transaction without multiple value ' +
+      'insert', function(done) {
+      connector.multiInsertSupported = false;
+      connector.createAll('order', rows, {}, function(err, result) {
+        if (err) return done(err);
+        expect(statements.map(function(s) {
+          return s.sql;
+        })).to.eql([
+          'INSERT INTO `ORDER`(`description`) VALUES($1)',
+          'INSERT INTO `ORDER`(`description`) VALUES($1)',
+          'INSERT INTO `ORDER`(`description`) VALUES($1)',
+        ]);
+        expect(statements.every(function(s) {
+          return s.transaction;
+        })).to.equal(true);
+        expect(result).to.eql([
+          {id: 10, des: 'a'}, {id: 20, des: 'b'}, {id: 30, des: 'c'},
+        ]);
+        expect(rows[0]).to.eql({des: 'a'});
+        done();
+      });
+    });
+
+    it('inserts all rows with one statement', function(done) {
+      connector.multiInsertSupported = true;
+      connector.createAll('order', rows, {}, function(err, result) {
+        if (err) return done(err);
+        expect(statements).to.eql([{
+          sql: 'INSERT INTO `ORDER`(`description`) VALUES ($1), ($2), ($3)',
+          params: ['a', 'b', 'c'],
+          transaction: false,
+        }]);
+        expect(result).to.eql([
+          {id: 10, des: 'a'}, {id: 11, des: 'b'}, {id: 12, des: 'c'},
+        ]);
+        done();
+      });
+    });
+
+    it('splits rows into chunks by maxRowsPerInsert', function(done) {
+      connector.multiInsertSupported = true;
+      connector.settings.maxRowsPerInsert = 2;
+      connector.createAll('order', rows, {}, function(err, result) {
+        if (err) return done(err);
+        expect(statements).to.eql([{
+          sql: 'INSERT INTO `ORDER`(`description`) VALUES ($1), ($2)',
+          params: ['a', 'b'],
+          transaction: true,
+        }, {
+          sql: 'INSERT INTO `ORDER`(`description`) VALUES ($1)',
+          params: ['c'],
+          transaction: true,
+        }]);
+        expect(result).to.eql([
+          {id: 10, des: 'a'}, {id: 11, des: 'b'}, {id: 20, des: 'c'},
+        ]);
+        done();
+      });
+    });
+
+    it('splits rows into chunks by maxParamsPerStatement', function() {
+      connector.settings.maxParamsPerStatement = 5;
+      const chunks = connector._getInsertChunks('customer', [
+        {name: 'a', vip: true}, {name: 'b'}, {name: 'c'}, {name: 'd'},
+        {name: 'e'},
+      ]);
+      expect(chunks.map(function(chunk) {
+        return chunk.length;
+      })).to.eql([2, 2, 1]);
+    });
+
+    it('reports errors of chunks', function(done) {
+      connector.multiInsertSupported = true;
+      connector.settings.maxRowsPerInsert = 1;
+      const buildInsertAll = connector.buildInsertAll;
+      connector.buildInsertAll = function(model, data, options) {
+        if (data[0].des === 'b') return {sql: 'FAIL', params: []};
+        return buildInsertAll.apply(this, arguments);
+      };
+      connector.createAll('order', rows, {}, function(err) {
+        expect(err).to.have.property('message', 'insert failed');
+        expect(statements.length).to.eql(2);
+        done();
+      });
+    });
+
+    it('calls back with an empty array for no rows', function(done) {
+      connector.createAll('order', [], {}, function(err, result) {
+        if (err) return done(err);
+        expect(result).to.eql([]);
+        expect(statements).to.eql([]);
+        done();
+      });
+    });
+  });
 });
+
+/*!
+ * Find instances of the model with `executeSQL` stubbed
+ * @returns {Promise<Object[]>} The executed statements
+ */
+async function findStatements(model, filter, options) {
+  const executeSQL = connector.executeSQL;
+  const statements = [];
+  connector.clearObservers('after execute');
+  connector.executeSQL = function(sql, params, options, cb) {
+    statements.push({sql: sql, params: params});
+    cb(null, []);
+  };
+  try {
+    await model.find(filter, options);
+  } finally {
+    connector.executeSQL = executeSQL;
+  }
+  return statements;
+}